@@ -1,38 +1,74 @@
+import crypto from "crypto";
 import User from "../models/User.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { sendEmail } from "../utils/sendEmail.js";
+import { hashToken, getClientIp, revokeAllSessions } from "../utils/session.js";
+import {
+  checkAttempt,
+  recordFailure,
+  clearFailures,
+  rejectThrottled,
+} from "../utils/loginGuard.js";
+import { validatePassword } from "../utils/password.js";
+import { recordAudit } from "../utils/audit.js";
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+const RESET_TOKEN_TTL_MS = 15 * 60 * 1000;
 
 /* ============================================================
    ONLY PASSWORD RESET CONTROLLERS SHOULD BE HERE
+   Reset tokens are random, stored hashed on the user and
+   single-use; a newer request replaces any older link.
 ============================================================ */
 
 export const forgotPassword = async (req, res) => {
+  // Same answer whether or not the email exists
+  const genericResponse = {
+    success: true,
+    message: "If an account exists for that email, a reset link has been sent.",
+  };
+
   try {
-    const { email } = req.body;
+    const email = String(req.body.email || "").trim().toLowerCase();
+    if (!email)
+      return res.status(400).json({ success: false, message: "Email is required" });
+
+    const attempt = { email, ip: getClientIp(req) };
+
+    const check = await checkAttempt("forgot-password", attempt);
+    if (!check.allowed) return rejectThrottled(res, check);
+
+    // Every reset request counts towards the throttle (it never locks the account)
+    await recordFailure("forgot-password", attempt);
 
     const user = await User.findOne({ email });
-    if (!user)
-      return res.status(404).json({ success: false, message: "User not found" });
+    if (!user) return res.json(genericResponse);
 
-    const resetToken = jwt.sign(
-      { _id: user._id, email: user.email },
-      process.env.RESET_SECRET,
-      { expiresIn: "15m" }
-    );
+    const resetToken = crypto.randomBytes(32).toString("hex");
+
+    // Overwrites (and so invalidates) any previous link
+    user.resetPasswordToken = hashToken(resetToken);
+    user.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+    await user.save();
 
-    const resetLink = `${process.env.CLIENT_URL}/reset-password?token=${resetToken}&email=${user.email}`;
+    await recordAudit(req, {
+      action: "auth.password.resetRequested",
+      actor: user,
+      target: user,
+      targetType: "user",
+    });
+
+    const resetLink = `${CLIENT_URL}/reset-password?token=${resetToken}&email=${encodeURIComponent(user.email)}`;
 
     await sendEmail(
       user.email,
       "Reset Your Password - CodeCommunity",
-      `<p>Click to reset: <a href="${resetLink}">Reset Password</a></p>`
+      `<p>Hello ${user.name}, click below to reset your password:</p>
+       <a href="${resetLink}">Reset Password</a>
+       <p>This link expires in 15 minutes and can only be used once.</p>`
     );
 
-    return res.json({
-      success: true,
-      message: "Password reset link sent to your email.",
-    });
+    return res.json(genericResponse);
   } catch (err) {
     console.error("Forgot password error:", err);
     return res.status(500).json({ success: false, message: "Server error" });
@@ -43,24 +79,47 @@ export const resetPassword = async (req, res) => {
   try {
     const { token, password, email } = req.body;
 
-    if (!token || !password || !email)
+    if (!token || !password)
       return res.status(400).json({ success: false, message: "Missing fields" });
 
-    const decoded = jwt.verify(token, process.env.RESET_SECRET);
-
-    if (decoded.email !== email)
-      return res.status(400).json({ success: false, message: "Email mismatch" });
+    const passwordError = validatePassword(password);
+    if (passwordError)
+      return res.status(400).json({ success: false, message: passwordError });
 
     const hashed = await bcrypt.hash(password, 10);
 
-    await User.findOneAndUpdate(
-      { _id: decoded._id, email: decoded.email },
-      { password: hashed }
-    );
+    const query = {
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpires: { $gt: new Date() },
+    };
+    if (email) query.email = String(email).trim().toLowerCase();
+
+    // Atomic consume → the same link can't be used twice
+    const user = await User.findOneAndUpdate(query, {
+      password: hashed,
+      resetPasswordToken: null,
+      resetPasswordExpires: null,
+    });
+
+    if (!user)
+      return res.status(400).json({ success: false, message: "Invalid or expired token" });
+
+    // Log out everywhere — whoever had the old password loses access
+    await revokeAllSessions(user._id);
+    req.app.get("io")?.in(String(user._id)).disconnectSockets(true);
+
+    await clearFailures("login", { email: user.email });
+
+    await recordAudit(req, {
+      action: "auth.password.reset",
+      actor: user,
+      target: user,
+      targetType: "user",
+    });
 
     return res.json({ success: true, message: "Password reset successful" });
   } catch (err) {
     console.error("Reset password error:", err);
-    return res.status(400).json({ success: false, message: "Invalid or expired token" });
+    return res.status(500).json({ success: false, message: "Server error" });
   }
 };
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const MONGO = process.env.MONGODB_URI || process.env.MONGO_URI;
+
+/* ---------------------------------------------------------
+   Hire: clientEmail / developerEmail strings → client / developer ids
+   Safe to run more than once. Hires whose emails no longer match
+   a user are reported and left untouched.
+----------------------------------------------------------*/
+async function fixRaw() {
+  const conn = await mongoose.connect(MONGO);
+  console.log("Connected to MongoDB (RAW MODE)");
+
+  const db = conn.connection.db;
+  const hires = db.collection("hires");
+  const users = db.collection("users");
+
+  const docs = await hires
+    .find({ $or: [{ clientEmail: { $exists: true } }, { developerEmail: { $exists: true } }] })
+    .toArray();
+  console.log(`Found ${docs.length} email-based hires`);
+
+  const idByEmail = new Map();
+  const lookup = async (email) => {
+    if (!email) return null;
+    const key = String(email).trim().toLowerCase();
+    if (!idByEmail.has(key)) {
+      const user = await users.findOne({ email: key }, { projection: { _id: 1 } });
+      idByEmail.set(key, user?._id || null);
+    }
+    return idByEmail.get(key);
+  };
+
+  let fixed = 0;
+  let skipped = 0;
+
+  for (const h of docs) {
+    const client = h.client || (await lookup(h.clientEmail));
+    const developer = h.developer || (await lookup(h.developerEmail));
+
+    if (!client || !developer) {
+      skipped++;
+      console.log(
+        `⚠️ Skipped ${h._id}: no user for ${!client ? h.clientEmail : h.developerEmail}`
+      );
+      continue;
+    }
+
+    await hires.updateOne(
+      { _id: h._id },
+      {
+        $set: { client, developer },
+        $unset: { clientEmail: "", developerEmail: "" },
+      }
+    );
+    fixed++;
+    console.log("✔ RAW fixed:", h._id.toString());
+  }
+
+  console.log(`✨ RAW migration complete. Fixed ${fixed}, skipped ${skipped}.`);
+  process.exit();
+}
+
+fixRaw();
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const MONGO = process.env.MONGODB_URI || process.env.MONGO_URI;
+
+const STATUSES = ["pending", "in-progress", "completed", "cancelled"];
+
+// Legacy values written before the status state machine
+const LEGACY = {
+  ongoing: "in-progress",
+  active: "in-progress",
+  done: "completed",
+  canceled: "cancelled",
+};
+
+/* ---------------------------------------------------------
+   Project.status: legacy values ("ongoing" …) → schema enum,
+   and a first statusHistory entry for projects without one.
+   Safe to run more than once.
+----------------------------------------------------------*/
+async function fixRaw() {
+  const conn = await mongoose.connect(MONGO);
+  console.log("Connected to MongoDB (RAW MODE)");
+
+  const projects = conn.connection.db.collection("projects");
+
+  const docs = await projects
+    .find({
+      $or: [
+        { status: { $nin: STATUSES } },
+        { statusHistory: { $exists: false } },
+        { statusHistory: { $size: 0 } },
+      ],
+    })
+    .toArray();
+  console.log(`Found ${docs.length} projects to fix`);
+
+  let fixed = 0;
+
+  for (const p of docs) {
+    const status = STATUSES.includes(p.status) ? p.status : LEGACY[p.status] || "in-progress";
+    const set = { status };
+
+    if (!p.statusHistory?.length) {
+      set.statusHistory = [
+        {
+          _id: new mongoose.Types.ObjectId(),
+          from: null,
+          to: status,
+          by: null,
+          side: "system",
+          reason: p.status === status ? "Migrated" : `Migrated from "${p.status}"`,
+          at: p.createdAt || new Date(),
+        },
+      ];
+    }
+
+    await projects.updateOne({ _id: p._id }, { $set: set });
+    fixed++;
+    console.log(`✔ RAW fixed: ${p._id.toString()} (${p.status} → ${status})`);
+  }
+
+  console.log(`✨ RAW migration complete. Fixed ${fixed}.`);
+  process.exit();
+}
+
+fixRaw();
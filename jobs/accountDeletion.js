@@ -0,0 +1,44 @@
+import User from "../models/User.js";
+import { anonymizeUser } from "../utils/accountData.js";
+import { recordAudit } from "../utils/audit.js";
+
+const INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+/* ---------------------------------------------------------
+   Anonymize accounts whose deletion grace period has ended
+----------------------------------------------------------*/
+export const processDueDeletions = async () => {
+  const due = await User.find({
+    status: { $ne: "deleted" },
+    "deletion.scheduledFor": { $ne: null, $lte: new Date() },
+  }).select("_id email");
+
+  for (const user of due) {
+    try {
+      await anonymizeUser(user._id);
+      await recordAudit(null, {
+        action: "user.anonymize",
+        target: user._id,
+        targetType: "user",
+        metadata: { reason: "self-service deletion" },
+      });
+      console.log(`🗑 Account anonymized: ${user._id}`);
+    } catch (err) {
+      console.error(`❌ Account deletion failed for ${user._id}:`, err.message);
+    }
+  }
+
+  return due.length;
+};
+
+export const startAccountDeletionJob = () => {
+  const run = () =>
+    processDueDeletions().catch((err) =>
+      console.error("❌ Account deletion job error:", err.message)
+    );
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,48 @@
+import Project from "../models/Project.js";
+import { acceptCompletion } from "../utils/projects.js";
+
+const INTERVAL_MS = 15 * 60 * 1000;
+
+/* ---------------------------------------------------------
+   Completion requests the client left unanswered past
+   respondBy are accepted on their behalf
+----------------------------------------------------------*/
+export const autoAcceptOverdueCompletions = async (io) => {
+  const overdue = await Project.find({
+    status: "in-progress",
+    openDispute: null, // on hold until an admin resolves it
+    milestones: { $not: { $elemMatch: { status: { $ne: "approved" } } } },
+    completionRequests: {
+      $elemMatch: { status: "pending", respondBy: { $lte: new Date() } },
+    },
+  });
+
+  let accepted = 0;
+
+  for (const project of overdue) {
+    try {
+      const { error } = await acceptCompletion(io, project);
+      if (error) console.error(`⚠️ Completion auto-accept skipped for ${project._id}:`, error);
+      else accepted++;
+    } catch (err) {
+      console.error(`❌ Completion auto-accept failed for ${project._id}:`, err.message);
+    }
+  }
+
+  return accepted;
+};
+
+export const startCompletionAutoAcceptJob = (io) => {
+  const run = async () => {
+    try {
+      await autoAcceptOverdueCompletions(io);
+    } catch (err) {
+      console.error("❌ Completion auto-accept job error:", err.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
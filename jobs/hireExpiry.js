@@ -0,0 +1,78 @@
+import Hire from "../models/Hire.js";
+import { OPEN_HIRE_STATUSES, notifyHireParties } from "../utils/hires.js";
+
+const INTERVAL_MS = 15 * 60 * 1000;
+
+// Remind the party whose turn it is this long before a request expires
+const REMINDER_HOURS = Number(process.env.HIRE_REMINDER_HOURS) || 24;
+
+/* ---------------------------------------------------------
+   Expire stale open hire requests (both parties notified)
+----------------------------------------------------------*/
+export const expireStaleHires = async (io) => {
+  const stale = await Hire.find({
+    status: { $in: OPEN_HIRE_STATUSES },
+    expiresAt: { $ne: null, $lte: new Date() },
+  });
+
+  for (const hire of stale) {
+    try {
+      hire.status = "expired";
+      hire.awaiting = null;
+      hire.negotiation.push({ kind: "expire", by: "system" });
+      await hire.save();
+
+      const text = `⌛ The hire request "${hire.projectTitle}" expired without an agreement`;
+      await notifyHireParties(io, hire, { client: text, developer: text });
+    } catch (err) {
+      console.error(`❌ Hire expiry failed for ${hire._id}:`, err.message);
+    }
+  }
+
+  return stale.length;
+};
+
+/* ---------------------------------------------------------
+   One reminder per turn for requests about to expire
+----------------------------------------------------------*/
+export const remindExpiringHires = async (io) => {
+  const soon = new Date(Date.now() + REMINDER_HOURS * 60 * 60 * 1000);
+
+  const expiring = await Hire.find({
+    status: { $in: OPEN_HIRE_STATUSES },
+    awaiting: { $ne: null },
+    reminderSentAt: null,
+    expiresAt: { $gt: new Date(), $lte: soon },
+  });
+
+  for (const hire of expiring) {
+    try {
+      hire.reminderSentAt = new Date();
+      await hire.save();
+
+      await notifyHireParties(io, hire, {
+        [hire.awaiting]: `⏰ The hire request "${hire.projectTitle}" expires on ${hire.expiresAt.toUTCString()} — please respond`,
+      });
+    } catch (err) {
+      console.error(`❌ Hire reminder failed for ${hire._id}:`, err.message);
+    }
+  }
+
+  return expiring.length;
+};
+
+export const startHireExpiryJob = (io) => {
+  const run = async () => {
+    try {
+      await expireStaleHires(io);
+      await remindExpiringHires(io);
+    } catch (err) {
+      console.error("❌ Hire expiry job error:", err.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
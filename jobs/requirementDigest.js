@@ -0,0 +1,109 @@
+import User from "../models/User.js";
+import Requirement from "../models/Requirement.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { visibleAccountFilter } from "../utils/accountStatus.js";
+import { requirementMatchesDeveloper } from "../utils/requirementAlerts.js";
+
+const INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITEMS = 20;
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+
+const formatBudget = (requirement) => {
+  const { type, min, max, currency = "USD" } = requirement.budget || {};
+  const range =
+    min != null && max != null && min !== max ? `${min}–${max}` : max ?? min ?? requirement.charges;
+  return `${currency} ${range}${type === "hourly" ? "/hr" : ""}`;
+};
+
+const digestHtml = (user, requirements) => `
+  <p>Hello ${user.name}, here are new requirements matching your alerts:</p>
+  <ul>
+    ${requirements
+      .slice(0, MAX_ITEMS)
+      .map(
+        (r) =>
+          `<li><a href="${CLIENT_URL}/requirements/${r._id}">${r.title}</a> — ${formatBudget(r)}</li>`
+      )
+      .join("")}
+  </ul>
+  ${requirements.length > MAX_ITEMS ? `<p>…and ${requirements.length - MAX_ITEMS} more.</p>` : ""}
+  <p>You can change or turn off these emails in your alert settings.</p>`;
+
+/* ---------------------------------------------------------
+   Daily email of new open requirements per opted-in developer
+----------------------------------------------------------*/
+export const sendRequirementDigests = async () => {
+  const now = new Date();
+
+  const due = await User.find({
+    role: "developer",
+    "requirementAlerts.enabled": { $ne: false },
+    "requirementAlerts.emailDigest": true,
+    $or: [
+      { "requirementAlerts.lastDigestAt": null },
+      { "requirementAlerts.lastDigestAt": { $lte: new Date(now - DAY_MS) } },
+    ],
+    ...visibleAccountFilter(),
+  })
+    .select("name email technologies charges requirementAlerts")
+    .lean();
+
+  if (!due.length) return 0;
+
+  // Never look back further than two days (first digest / missed runs)
+  const recent = await Requirement.find({
+    status: "pending",
+    developer: null,
+    deletedAt: null,
+    createdAt: { $gt: new Date(now - 2 * DAY_MS) },
+  })
+    .select("title description charges budget technologies category experienceLevel client createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  let sent = 0;
+
+  for (const user of due) {
+    try {
+      const since = user.requirementAlerts.lastDigestAt || new Date(now - DAY_MS);
+      const matches = recent.filter(
+        (r) =>
+          r.createdAt > since &&
+          String(r.client) !== String(user._id) &&
+          requirementMatchesDeveloper(r, user)
+      );
+
+      if (matches.length) {
+        await sendEmail(
+          user.email,
+          `${matches.length} new requirement${matches.length === 1 ? "" : "s"} for you - CodeCommunity`,
+          digestHtml(user, matches)
+        );
+        sent++;
+      }
+
+      await User.updateOne({ _id: user._id }, { "requirementAlerts.lastDigestAt": now });
+    } catch (err) {
+      console.error(`❌ Requirement digest failed for ${user._id}:`, err.message);
+    }
+  }
+
+  return sent;
+};
+
+export const startRequirementDigestJob = () => {
+  const run = async () => {
+    try {
+      await sendRequirementDigests();
+    } catch (err) {
+      console.error("❌ Requirement digest job error:", err.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
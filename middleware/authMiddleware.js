@@ -1,51 +1,84 @@
-// middleware/auth.js  (replace your current file with this)
-import jwt from "jsonwebtoken";
+// middleware/authMiddleware.js — the one auth layer for every router
+// Accepts: session access token (cookie / Bearer / ?token=) or a personal API key
+// (X-API-Key header or "Bearer cc_..."). Always sets the same req.user shape.
 import User from "../models/User.js";
+import { verifySessionToken, getClientIp } from "../utils/session.js";
+import { isApiKey, findActiveApiKey, scopeAllows } from "../utils/apiKeys.js";
+import { can } from "../utils/permissions.js";
+import { getRestriction, rejectRestricted } from "../utils/accountStatus.js";
 
 const SUPER_ADMIN_EMAIL = (process.env.SUPER_ADMIN_EMAIL || "").toLowerCase();
 
-const authMiddleware = async (req, res, next) => {
-  try {
-    // ---- Token extraction (robust) ----
-    let token = null;
+/* ---------------------------------------------------------
+   Credential extraction
+----------------------------------------------------------*/
+const extractCredential = (req) => {
+  // 0) explicit API key header
+  if (typeof req.headers?.["x-api-key"] === "string" && req.headers["x-api-key"]) {
+    return req.headers["x-api-key"];
+  }
 
-    // 1) cookie (cookie-parser required)
-    if (req.cookies && typeof req.cookies.token === "string") {
-      token = req.cookies.token;
-    }
+  let token = null;
 
-    // 2) Authorization header "Bearer <token>"
-    if (!token && req.headers?.authorization?.startsWith("Bearer ")) {
-      token = req.headers.authorization.split(" ")[1];
-    }
+  // 1) cookie (cookie-parser required)
+  if (req.cookies && typeof req.cookies.token === "string") {
+    token = req.cookies.token;
+  }
 
-    // 3) query param fallback (optional but helpful for testing)
-    if (!token && req.query?.token) {
-      token = req.query.token;
-    }
+  // 2) Authorization header "Bearer <token>" (session token or API key)
+  if (req.headers?.authorization?.startsWith("Bearer ")) {
+    const bearer = req.headers.authorization.split(" ")[1];
+    if (!token || isApiKey(bearer)) token = bearer;
+  }
 
-    // Defensive cleanup: sometimes token becomes the string "undefined" or "null"
-    if (token === "undefined" || token === "null") token = null;
+  // 3) query param fallback (optional but helpful for testing)
+  if (!token && req.query?.token) {
+    token = req.query.token;
+  }
+
+  // Defensive cleanup: sometimes token becomes the string "undefined" or "null"
+  if (token === "undefined" || token === "null") token = null;
+
+  return token;
+};
 
-    if (!token) {
+const authMiddleware = async (req, res, next) => {
+  try {
+    const credential = extractCredential(req);
+
+    if (!credential) {
       return res.status(401).json({ success: false, message: "No valid token provided" });
     }
 
-    // ---- Verify token ----
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (err) {
-      if (process.env.NODE_ENV !== "production") {
-        console.warn("Auth verify failed:", err.message);
+    let userId;
+
+    if (isApiKey(credential)) {
+      // ---- Personal API key ----
+      const apiKey = await findActiveApiKey(credential, getClientIp(req));
+      if (!apiKey) {
+        return res.status(401).json({ success: false, message: "Invalid or revoked API key" });
+      }
+
+      if (!scopeAllows(apiKey, req.method)) {
+        return res.status(403).json({
+          success: false,
+          message: "API key scope does not allow this request",
+        });
+      }
+
+      userId = apiKey.user;
+      req.apiKey = { id: apiKey._id.toString(), scopes: apiKey.scopes };
+    } else {
+      // ---- Session token (signature + expiry + session not revoked) ----
+      const decoded = await verifySessionToken(credential);
+      if (!decoded) {
+        return res.status(401).json({ success: false, message: "Invalid or expired token" });
       }
-      return res.status(401).json({ success: false, message: "Invalid or expired token" });
-    }
 
-    // Accept either decoded.id or decoded._id for compatibility
-    const userId = decoded.id || decoded._id;
-    if (!userId) {
-      return res.status(401).json({ success: false, message: "Token missing user id" });
+      userId = decoded.id;
+      req.token = credential;
+      req.sessionId = decoded.sid;
+      req.impersonatedBy = decoded.impersonatedBy;
     }
 
     const dbUser = await User.findById(userId).select("-password");
@@ -53,6 +86,10 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ success: false, message: "User no longer exists" });
     }
 
+    // ---- Suspended / banned accounts lose access immediately ----
+    const restriction = getRestriction(dbUser);
+    if (restriction) return rejectRestricted(res, restriction);
+
     // ---- Role normalization ----
     let finalRole = dbUser.role;
     if (dbUser.role === "superadmin") finalRole = "superadmin";
@@ -64,9 +101,11 @@ const authMiddleware = async (req, res, next) => {
       name: dbUser.name,
       email: dbUser.email,
       role: finalRole,
+      emailVerified: dbUser.emailVerified !== false,
+      authMethod: req.apiKey ? "apiKey" : "session",
+      impersonatedBy: req.impersonatedBy || null,
     };
 
-    req.token = token;
     next();
   } catch (err) {
     console.error("❌ Auth middleware error:", err);
@@ -76,8 +115,7 @@ const authMiddleware = async (req, res, next) => {
 
 export const requireAdmin = (req, res, next) => {
   try {
-    const role = req.user?.role;
-    if (role === "admin" || role === "superadmin") return next();
+    if (req.user && can(req.user, "admin.access")) return next();
     return res.status(403).json({ success: false, message: "Admins only" });
   } catch (err) {
     console.error("❌ requireAdmin error:", err.message);
@@ -85,4 +123,40 @@ export const requireAdmin = (req, res, next) => {
   }
 };
 
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user?.emailVerified === false) {
+    return res.status(403).json({
+      success: false,
+      code: "EMAIL_NOT_VERIFIED",
+      message: "Please verify your email address first",
+    });
+  }
+  next();
+};
+
+// Password, email, 2FA, session and API key changes are off-limits while a
+// superadmin is impersonating the account
+export const forbidImpersonation = (req, res, next) => {
+  if (req.user?.impersonatedBy) {
+    return res.status(403).json({
+      success: false,
+      code: "IMPERSONATION_FORBIDDEN",
+      message: "This action is not allowed while impersonating a user",
+    });
+  }
+  next();
+};
+
+// Account-security actions (sessions, API keys, 2FA, password) need the owner's
+// real login — not an API key and not an impersonation session
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: "This action is not available with an API key",
+    });
+  }
+  forbidImpersonation(req, res, next);
+};
+
 export default authMiddleware;
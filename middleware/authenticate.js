@@ -1,42 +0,0 @@
-/* import jwt from "jsonwebtoken";
-
-const authenticate = (req, res, next) => {
-  const token = req.headers.authorization?.split(" ")[1];
-  if (!token) return res.status(401).json({ message: "No token provided" });
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(403).json({ message: "Invalid token" });
-  }
-};
-
-export default authenticate;
- */
-
-import jwt from "jsonwebtoken";
-import User from "../models/User.js";
-
-export default async function authenticate(req, res, next) {
-  try {
-    const token = req.cookies.token || req.headers.authorization?.split(" ")[1];
-    if (!token) {
-      return res.status(401).json({ success: false, message: "No token provided" });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select("-password");
-
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
-    }
-
-    req.user = user;
-    next();
-  } catch (err) {
-    console.error("❌ Auth error:", err.message);
-    return res.status(401).json({ success: false, message: "Unauthorized" });
-  }
-}
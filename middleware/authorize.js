@@ -0,0 +1,42 @@
+import { can } from "../utils/permissions.js";
+
+/**
+ * Permission middleware (use after authMiddleware).
+ *
+ *   router.delete("/:id", authMiddleware, authorize("review.delete"), handler)
+ *
+ * For ownership rules pass `load` — it receives req and returns the resource
+ * (or null → 404). The loaded resource is exposed as req.resource.
+ */
+const authorize =
+  (action, { load = null, message = "Access denied" } = {}) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ success: false, message: "Authentication required" });
+      }
+
+      let resource = null;
+      if (load) {
+        resource = await load(req);
+        if (!resource) {
+          return res.status(404).json({ success: false, message: "Not found" });
+        }
+        req.resource = resource;
+      }
+
+      if (!can(req.user, action, resource)) {
+        return res.status(403).json({ success: false, message });
+      }
+
+      next();
+    } catch (err) {
+      if (err.name === "CastError") {
+        return res.status(404).json({ success: false, message: "Not found" });
+      }
+      console.error(`❌ authorize(${action}) error:`, err.message);
+      return res.status(500).json({ success: false, message: "Permission check failed" });
+    }
+  };
+
+export default authorize;
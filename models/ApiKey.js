@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    // 👤 Key acts on behalf of this user
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // 🏷 Label chosen by the user ("CI deploy script", ...)
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+
+    // First characters of the key, shown in listings to tell keys apart
+    prefix: { type: String, required: true },
+
+    // 🔑 SHA-256 of the full key — the key itself is only shown once
+    keyHash: { type: String, required: true, unique: true },
+
+    // read  → GET/HEAD/OPTIONS only
+    // write → every method
+    scopes: {
+      type: [{ type: String, enum: ["read", "write"] }],
+      default: ["read"],
+    },
+
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: "" },
+
+    expiresAt: { type: Date, default: null }, // null = never expires
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+export default mongoose.model("ApiKey", apiKeySchema);
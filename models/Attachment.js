@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    // 🔗 What the file belongs to
+    // requirement → Requirement · project → Project
+    // chat → the conversation partner (User); `message` is set once it's sent
+    // dispute → Dispute (evidence)
+    resourceType: {
+      type: String,
+      enum: ["requirement", "project", "chat", "dispute"],
+      required: true,
+    },
+    resource: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // 📄 File metadata (bytes live in storage under `storageKey`)
+    originalName: { type: String, required: true, trim: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true, min: 0 },
+    checksum: { type: String, default: null }, // sha256
+    storageKey: { type: String, required: true, select: false },
+  },
+  { timestamps: true }
+);
+
+attachmentSchema.index({ resourceType: 1, resource: 1, createdAt: -1 });
+attachmentSchema.index({ uploader: 1 });
+attachmentSchema.index({ message: 1 });
+
+export default mongoose.model("Attachment", attachmentSchema);
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // 👤 Who did it (null for system jobs / anonymous requests)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actorEmail: { type: String, default: "" },
+    actorRole: { type: String, default: "" },
+
+    // 🕵️ Set when the actor was being impersonated by a superadmin
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // 🏷 What happened, e.g. "impersonation.start"
+    action: { type: String, required: true, trim: true },
+
+    // 🎯 What it happened to
+    targetType: { type: String, default: null }, // "user", "project", ...
+    target: { type: mongoose.Schema.Types.ObjectId, default: null },
+    targetLabel: { type: String, default: "" }, // email / title at the time
+
+    // 🔁 Only the fields that changed: before = old values, after = new values
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    // 🌐 Request info
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+/* ---------------------------------------------------------
+   APPEND-ONLY — entries can be created, never changed or removed
+----------------------------------------------------------*/
+const rejectWrite = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectWrite(next);
+  next();
+});
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: true, query: true },
+  rejectWrite
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", auditLogSchema);
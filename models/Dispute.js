@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+const disputeSchema = new mongoose.Schema(
+  {
+    // 🔗 Relations
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    openedBySide: { type: String, enum: ["client", "developer"], required: true },
+
+    // ⚖️ What it's about (files: attachments with resourceType "dispute")
+    reason: { type: String, required: true, trim: true },
+    description: { type: String, required: true, trim: true },
+
+    // 🔖 Status
+    // open → under-review (admin assigned) → resolved | withdrawn (by the opener)
+    status: {
+      type: String,
+      enum: ["open", "under-review", "resolved", "withdrawn"],
+      default: "open",
+    },
+
+    // 🛡 Admin handling it
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    assignedAt: { type: Date, default: null },
+
+    // 💬 Statements from both parties and the admin, oldest first
+    statements: [
+      {
+        author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        side: { type: String, enum: ["client", "developer", "admin"], required: true },
+        text: { type: String, required: true, trim: true },
+        attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Attachment" }],
+        at: { type: Date, default: Date.now },
+      },
+    ],
+
+    // ✅ Admin decision — outcome is the project's final status
+    // ("in-progress" → work carries on)
+    resolution: {
+      outcome: {
+        type: String,
+        enum: ["completed", "cancelled", "in-progress", null],
+        default: null,
+      },
+      note: { type: String, default: "" },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      resolvedAt: { type: Date, default: null },
+    },
+  },
+  { timestamps: true }
+);
+
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ project: 1 });
+disputeSchema.index({ assignedTo: 1, status: 1 });
+
+export default mongoose.model("Dispute", disputeSchema);
@@ -1,13 +1,55 @@
 import mongoose from "mongoose";
 
+// One step in the back-and-forth between client and developer
+const negotiationStepSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["offer", "counter", "accept", "reject", "withdraw", "expire"],
+      required: true,
+    },
+    by: { type: String, enum: ["client", "developer", "admin", "system"], required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    // Terms proposed in this step (unchanged terms are copied over)
+    amount: Number,
+    deadline: Date,
+    requirements: String,
+
+    message: { type: String, default: "" },
+  },
+  { _id: true, timestamps: { createdAt: true, updatedAt: false } }
+);
+
 const hireSchema = new mongoose.Schema({
-  clientEmail: { type: String, required: true },
-  developerEmail: { type: String, required: true },
+  // 👥 Parties (migrated from clientEmail / developerEmail — see fixHires.js)
+  client: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  developer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   projectTitle: { type: String, required: true },
   description: { type: String, required: true },
+
+  // 📝 Current terms — always the latest offer / counter-offer
   requirements: { type: String, required: true },
   amount: { type: Number, required: true },
-  status: { type: String, enum: ["pending", "accepted", "rejected"], default: "pending" },
+  deadline: { type: Date, default: null },
+
+  status: {
+    type: String,
+    enum: ["pending", "negotiating", "accepted", "rejected", "withdrawn", "expired"],
+    default: "pending",
+  },
+
+  // ⏳ Optional — open requests past this date are expired by jobs/hireExpiry.js
+  expiresAt: { type: Date, default: null },
+  reminderSentAt: { type: Date, default: null }, // "expiring soon" reminder
+
+  // 🤝 Whose turn it is to accept, reject or counter
+  awaiting: { type: String, enum: ["client", "developer", null], default: "developer" },
+  negotiation: { type: [negotiationStepSchema], default: [] },
 }, { timestamps: true });
 
+hireSchema.index({ client: 1, createdAt: -1 });
+hireSchema.index({ developer: 1, createdAt: -1 });
+hireSchema.index({ status: 1, expiresAt: 1 });
+
 export default mongoose.model("Hire", hireSchema);
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const invitationSchema = new mongoose.Schema(
+  {
+    // ✉️ Who is invited, and with which role
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: {
+      type: String,
+      enum: ["developer", "client", "admin"],
+      required: true,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // 🔑 SHA-256 of the nonce inside the current link (resend rotates it)
+    tokenHash: { type: String, required: true, select: false },
+    expiresAt: { type: Date, required: true },
+
+    sentAt: { type: Date, default: null },
+    sendCount: { type: Number, default: 0 },
+
+    // ✅ Single use
+    acceptedAt: { type: Date, default: null },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // 🚫 Revoked by the superadmin
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+// pending | accepted | revoked | expired
+invitationSchema.virtual("status").get(function () {
+  if (this.acceptedAt) return "accepted";
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+invitationSchema.set("toJSON", { virtuals: true });
+
+export default mongoose.model("Invitation", invitationSchema);
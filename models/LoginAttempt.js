@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// 🛡 Failed-attempt counter per account or per IP (login, forgot-password, ...)
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // "<scope>:<kind>:<identifier>" e.g. "login:account:john@x.com"
+    key: { type: String, required: true, unique: true },
+
+    scope: { type: String, enum: ["login", "forgot-password"], required: true },
+    kind: { type: String, enum: ["account", "ip"], required: true },
+    identifier: { type: String, required: true }, // email or IP
+
+    // Only set for account records that match a real user
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+
+    // ⏳ Progressive delay → no new attempt before this date
+    nextAttemptAt: { type: Date, default: null },
+
+    // 🔒 Temporary lockout
+    lockedUntil: { type: Date, default: null },
+    lockouts: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ lockedUntil: 1 });
+
+// 🧹 Forget quiet records after a day
+loginAttemptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
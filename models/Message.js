@@ -14,9 +14,18 @@ const MessageSchema = new mongoose.Schema(
     },
     message: {
       type: String,
-      required: true,
       trim: true,
+      default: "",
+      // A message may be just files
+      required: [
+        function () {
+          return !this.attachments?.length;
+        },
+        "Message text or an attachment is required",
+      ],
     },
+    // 📎 Files shared in the chat (uploaded first via /api/attachments/chat/:userId)
+    attachments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Attachment" }],
     delivered: {
       type: Boolean,
       default: false,
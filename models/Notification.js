@@ -31,6 +31,8 @@ const notificationSchema = new mongoose.Schema(
         "review",        // new reviews
         "system",        // system notifications
         "message",       // chat or direct message
+        "security",      // lockouts, suspicious sign-ins
+        "hire",          // hire requests & negotiation
       ],
       default: "system",
     },
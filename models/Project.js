@@ -1,17 +1,57 @@
 import mongoose from "mongoose";
 
+// 🎯 Milestone lifecycle
+// pending → submitted → approved
+//              ↓ ↑
+//      changes-requested (developer resubmits)
+const milestoneSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, default: "", trim: true },
+    amount: { type: Number, required: true, min: 0 },
+    dueDate: { type: Date, default: null },
+
+    status: {
+      type: String,
+      enum: ["pending", "submitted", "changes-requested", "approved"],
+      default: "pending",
+    },
+
+    // 📤 Latest submission (developer) / 📝 latest review (client)
+    submissionNote: { type: String, default: "" },
+    submittedAt: { type: Date, default: null },
+    feedback: { type: String, default: "" },
+    reviewedAt: { type: Date, default: null },
+    approvedAt: { type: Date, default: null },
+    submissions: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
 const projectSchema = new mongoose.Schema(
   {
     // 🏷️ Project title
     title: { type: String, required: true },
 
-    // 📊 Project status lifecycle
+    // 📊 Project status lifecycle — transitions live in utils/projectStatus.js
     status: {
       type: String,
       enum: ["pending", "in-progress", "completed", "cancelled"],
       default: "in-progress",
     },
 
+    // 🧾 Every status change, oldest first
+    statusHistory: [
+      {
+        from: { type: String, default: null },
+        to: { type: String, required: true },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        side: { type: String, enum: ["client", "developer", "admin", "system"] },
+        reason: { type: String, default: "" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+
     // 👥 Relations
     client: {
       type: mongoose.Schema.Types.ObjectId,
@@ -29,6 +69,51 @@ const projectSchema = new mongoose.Schema(
     // 📅 Optional project deadline
     deadline: { type: Date },
 
+    // 💰 Agreed terms (copied from the accepted hire request)
+    amount: { type: Number, default: null },
+    description: { type: String, default: "" },
+
+    // 🎯 Milestones — when present, the project completes once all are approved
+    milestones: [milestoneSchema],
+
+    // ✅ Completion handshake — developer asks, client accepts / rejects
+    // (auto-accepted once respondBy passes); latest request last
+    completionRequests: [
+      {
+        note: { type: String, default: "" },
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        requestedAt: { type: Date, default: Date.now },
+        respondBy: { type: Date, required: true },
+        status: {
+          type: String,
+          enum: ["pending", "accepted", "rejected", "auto-accepted"],
+          default: "pending",
+        },
+        feedback: { type: String, default: "" },
+        respondedAt: { type: Date, default: null },
+      },
+    ],
+
+    // 🛑 Cancellation — one party asks, the other accepts; latest request last
+    cancellationRequests: [
+      {
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        side: { type: String, enum: ["client", "developer"] },
+        reason: { type: String, required: true },
+        requestedAt: { type: Date, default: Date.now },
+        status: {
+          type: String,
+          enum: ["pending", "accepted", "declined", "withdrawn"],
+          default: "pending",
+        },
+        response: { type: String, default: "" },
+        respondedAt: { type: Date, default: null },
+      },
+    ],
+
+    // ⚖️ Dispute being handled by an admin (null → none open)
+    openDispute: { type: mongoose.Schema.Types.ObjectId, ref: "Dispute", default: null },
+
     // Multiple requirements supported
     requirements: [
       {
@@ -46,4 +131,28 @@ const projectSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Status only changes through transitionProject() (utils/projectStatus.js)
+projectSchema.pre("save", function (next) {
+  if (this.isNew) {
+    if (!this.statusHistory.length)
+      this.statusHistory.push({ from: null, to: this.status, side: "system", reason: "Created" });
+    return next();
+  }
+
+  if (this.isModified("status") && this.$locals.statusTransition !== this.status)
+    return next(new Error(`Project status can't be set to "${this.status}" directly`));
+
+  delete this.$locals.statusTransition;
+  next();
+});
+
+projectSchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function (next) {
+  const update = this.getUpdate() || {};
+  if (update.status !== undefined || update.$set?.status !== undefined)
+    return next(new Error("Project status can't be changed with a query update"));
+  next();
+});
+
+projectSchema.index({ "completionRequests.status": 1, "completionRequests.respondBy": 1 });
+
 export default mongoose.model("Project", projectSchema);
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const proposalSchema = new mongoose.Schema(
+  {
+    // 🔗 Relations
+    requirement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Requirement",
+      required: true,
+    },
+    developer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // ✍️ The bid
+    coverLetter: { type: String, required: true, trim: true },
+    charges: { type: Number, required: true, min: 0 },
+    deliveryDays: { type: Number, required: true, min: 1 }, // estimated delivery
+
+    // 🔖 Status
+    // submitted → shortlisted → awarded | declined (another bid won) | withdrawn
+    status: {
+      type: String,
+      enum: ["submitted", "shortlisted", "awarded", "declined", "withdrawn"],
+      default: "submitted",
+    },
+  },
+  { timestamps: true }
+);
+
+// One proposal per developer per requirement
+proposalSchema.index({ requirement: 1, developer: 1 }, { unique: true });
+proposalSchema.index({ developer: 1, createdAt: -1 });
+
+export default mongoose.model("Proposal", proposalSchema);
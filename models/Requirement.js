@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import {
+  REQUIREMENT_CATEGORIES,
+  EXPERIENCE_LEVELS,
+  BUDGET_TYPES,
+} from "../utils/requirements.js";
 
 
 const requirementSchema = new mongoose.Schema(
@@ -23,6 +28,27 @@ const requirementSchema = new mongoose.Schema(
       default: null, // ✅ Optional deadline
     },
 
+    // 🧩 Structured details (technologies match User.technologies)
+    technologies: [{ type: String, trim: true }],
+    category: {
+      type: String,
+      enum: [...REQUIREMENT_CATEGORIES, null],
+      default: null,
+    },
+    experienceLevel: {
+      type: String,
+      enum: [...EXPERIENCE_LEVELS, null],
+      default: null,
+    },
+
+    // 💰 Budget range — `charges` above is kept as the headline amount
+    budget: {
+      type: { type: String, enum: BUDGET_TYPES, default: "fixed" },
+      min: { type: Number, min: 0 },
+      max: { type: Number, min: 0 },
+      currency: { type: String, uppercase: true, default: "USD" },
+    },
+
     // 🔗 Relations
     client: {
       type: mongoose.Schema.Types.ObjectId,
@@ -35,13 +61,53 @@ const requirementSchema = new mongoose.Schema(
       default: null, // ✅ Default null when not yet assigned
     },
 
-    // 🔖 Status
+    // 🏆 Winning proposal (developer above is its author)
+    awardedProposal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Proposal",
+      default: null,
+    },
+
+    // 🔖 Status ("closed" → withdrawn by the client before it was awarded)
     status: {
       type: String,
-      enum: ["pending", "accepted", "rejected"],
+      enum: ["pending", "accepted", "rejected", "closed"],
       default: "pending",
     },
+    closedAt: { type: Date, default: null },
+
+    // 🗑 Soft delete — hidden everywhere, kept for history
+    deletedAt: { type: Date, default: null },
+
+    // 👀 Developers who opened it (told about edits)
+    viewedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+
+    // 📝 Previous versions, oldest first (the live fields are the current version)
+    revisions: [
+      {
+        title: String,
+        description: String,
+        charges: Number,
+        deadline: Date,
+        technologies: [String],
+        category: String,
+        experienceLevel: String,
+        budget: {
+          type: { type: String },
+          min: Number,
+          max: Number,
+          currency: String,
+        },
+        editedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        editedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
+
+requirementSchema.index({ status: 1, deletedAt: 1, createdAt: -1 });
+requirementSchema.index({ technologies: 1 });
+requirementSchema.index({ category: 1, experienceLevel: 1 });
+
 export default mongoose.model("Requirement", requirementSchema);
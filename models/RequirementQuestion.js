@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const requirementQuestionSchema = new mongoose.Schema(
+  {
+    // 🔗 Relations
+    requirement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Requirement",
+      required: true,
+    },
+    asker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // ❓ Question / 💬 answer (answer written by the requirement's client)
+    question: { type: String, required: true, trim: true },
+    answer: { type: String, default: null, trim: true },
+    answeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    answeredAt: { type: Date, default: null },
+
+    // 👁 public → every developer sees it · private → asker, client and admins only
+    visibility: {
+      type: String,
+      enum: ["public", "private"],
+      default: "public",
+    },
+  },
+  { timestamps: true }
+);
+
+requirementQuestionSchema.index({ requirement: 1, createdAt: 1 });
+requirementQuestionSchema.index({ asker: 1 });
+
+export default mongoose.model("RequirementQuestion", requirementQuestionSchema);
@@ -12,6 +12,12 @@ const reviewSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // 📁 Completed project the review is about (one review per project)
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
     rating: {
       type: Number,
       min: 1,
@@ -30,5 +36,9 @@ const reviewSchema = new mongoose.Schema(
 // Optional: add indexes for faster lookups
 reviewSchema.index({ developer: 1 });
 reviewSchema.index({ rating: -1 });
+reviewSchema.index(
+  { project: 1 },
+  { unique: true, partialFilterExpression: { project: { $type: "objectId" } } }
+);
 
 export default mongoose.model("Review", reviewSchema);
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // 👤 Owner of the session
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // 🔑 SHA-256 of the current refresh token (rotated on every refresh)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+
+    // ♻️ Token it replaced — a parallel refresh (two tabs) presenting it
+    // shortly after the rotation lost the race, it isn't a stolen token
+    previousRefreshTokenHash: { type: String, default: null },
+    rotatedAt: { type: Date, default: null },
+
+    // 💻 Device info (shown in "active sessions" list)
+    userAgent: { type: String, default: "" },
+    device: { type: String, default: "Unknown device" },
+    ip: { type: String, default: "" },
+
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    // 🕵️ Superadmin who opened this session via impersonation (no refresh token)
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // 🚫 Set when the user logs out or revokes the session
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// 🧹 Let MongoDB clean up expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// 🛠 Platform-wide settings managed by the superadmin (one document per key)
+const settingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    value: { type: mongoose.Schema.Types.Mixed, default: null },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Setting", settingSchema);
@@ -6,6 +6,13 @@ const userSchema = new mongoose.Schema(
 
     email: { type: String, unique: true, required: true },
 
+    // ✉️ Email verification
+    // (left undefined on accounts created before verification existed → treated as verified)
+    emailVerified: { type: Boolean },
+    emailVerifiedAt: { type: Date, default: null },
+    pendingEmail: { type: String, default: null }, // new address waiting for confirmation
+    verificationSentAt: { type: Date, default: null },
+
     role: {
       type: String,
       enum: ["developer", "client", "admin", "superadmin"],
@@ -18,11 +25,56 @@ const userSchema = new mongoose.Schema(
 
     photo: { type: String, default: "" },
 
+    // 📣 New-requirement alerts (developers) — empty lists mean "any"
+    // technologies empty → the profile technologies above are used
+    requirementAlerts: {
+      enabled: { type: Boolean, default: true },
+      technologies: { type: [String], default: [] },
+      categories: { type: [String], default: [] },
+      experienceLevels: { type: [String], default: [] },
+      budgetTypes: { type: [String], default: [] },
+      minBudget: { type: Number, default: null },
+      emailDigest: { type: Boolean, default: false }, // daily email of matches
+      lastDigestAt: { type: Date, default: null },
+    },
+
     password: { type: String, required: true },
 
-    resetPasswordToken: { type: String, default: null },
+    // 🔁 Password reset — SHA-256 of the single-use token from the email link
+    resetPasswordToken: { type: String, default: null, select: false },
     resetPasswordExpires: { type: Date, default: null },
 
+    // 🔐 TOTP two-factor auth (secrets never leave the DB unless selected explicitly)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      secret: { type: String, default: null, select: false },
+      pendingSecret: { type: String, default: null, select: false },
+      recoveryCodes: { type: [String], default: [], select: false },
+      lastUsedStep: { type: Number, default: null, select: false },
+    },
+
+    // 🚫 Moderation — suspended (optionally until a date) or banned
+    // "deleted" → personal data anonymized after a self-service deletion
+    status: {
+      type: String,
+      enum: ["active", "suspended", "banned", "deleted"],
+      default: "active",
+    },
+    suspension: {
+      reason: { type: String, default: "" },
+      until: { type: Date, default: null }, // null → until lifted by an admin
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      at: { type: Date, default: null },
+    },
+
+    // 🗑 Self-service deletion — anonymized once scheduledFor has passed
+    deletion: {
+      requestedAt: { type: Date, default: null },
+      scheduledFor: { type: Date, default: null },
+    },
+    deletedAt: { type: Date, default: null },
+
     // ⭐ NEW FIELD ⭐ — One-sided connect-based chat
     connections: [
       {
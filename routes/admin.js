@@ -1,8 +1,35 @@
 import express from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import Project from "../models/Project.js";
 import Notification from "../models/Notification.js";
-import authMiddleware, { requireAdmin } from "../middleware/authMiddleware.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import authorize from "../middleware/authorize.js";
+import { can } from "../utils/permissions.js";
+import { getAllSettings, getSetting, setSetting, SETTINGS } from "../utils/settings.js";
+import { listLockouts, clearLockout } from "../utils/loginGuard.js";
+import {
+  createImpersonationSession,
+  revokeSession,
+  revokeAllSessions,
+  disconnectSessionSockets,
+} from "../utils/session.js";
+import { notifyUser } from "../utils/notify.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { recordAudit, buildAuditQuery, auditLogsToCsv } from "../utils/audit.js";
+import AuditLog from "../models/AuditLog.js";
+import Invitation from "../models/Invitation.js";
+import { sendInvitation } from "../utils/invitations.js";
+import { removeAttachments } from "../utils/attachments.js";
+import Dispute from "../models/Dispute.js";
+import { transitionProject } from "../utils/projectStatus.js";
+import { closeOpenRequests, completeIfAllApproved } from "../utils/projects.js";
+import {
+  OPEN_DISPUTE_STATUSES,
+  DISPUTE_OUTCOMES,
+  isDisputeOpen,
+  notifyDisputeParties,
+} from "../utils/disputes.js";
 
 const router = express.Router();
 
@@ -68,13 +95,17 @@ const pushNotification = async (io, email, message) => {
 /* ============================================================================
    📌 GET ALL USERS (Admin + SuperAdmin)
 ============================================================================ */
-router.get("/users", authMiddleware, requireAdmin, async (req, res) => {
+router.get("/users", authMiddleware, authorize("user.list"), async (req, res) => {
   try {
-    const { page = 1, limit = 20, search = "" } = req.query;
+    const { page = 1, limit = 20, search = "", status } = req.query;
 
     const skip = (Number(page) - 1) * Number(limit);
     const query = buildSearchQuery(search, ["name", "email", "role"]);
 
+    // ?status=active|suspended|banned|deleted
+    if (status === "active") query.status = { $nin: ["suspended", "banned", "deleted"] };
+    else if (["suspended", "banned", "deleted"].includes(status)) query.status = status;
+
     const users = await User.find(query)
       .select("-password")
       .sort({ createdAt: -1 })
@@ -91,9 +122,9 @@ router.get("/users", authMiddleware, requireAdmin, async (req, res) => {
 });
 
 /* ============================================================================
-   📌 UPDATE USER ROLE (SuperAdmin Only)
+   📌 UPDATE USER ROLE (SuperAdmin; Admin for developer/client accounts)
 ============================================================================ */
-router.put("/users/update-role", authMiddleware, requireAdmin, async (req, res) => {
+router.put("/users/update-role", authMiddleware, authorize("admin.access"), async (req, res) => {
   try {
     const { id, role } = req.body;
     const io = req.app.get("io");
@@ -118,11 +149,21 @@ router.put("/users/update-role", authMiddleware, requireAdmin, async (req, res)
       });
     }
 
-    /* ❌ Only superadmin can change roles */
-    if (caller.role !== "superadmin")
+    if (!["developer", "client", "admin"].includes(role))
+      return res.status(400).json({ success: false, message: "Invalid role" });
+
+    /* ❌ Admins may only manage developer/client accounts */
+    if (!can(caller, "user.changeRole", target))
       return res.status(403).json({
         success: false,
-        message: "Only SuperAdmin can modify roles",
+        message: "Only SuperAdmin can modify admin roles",
+      });
+
+    /* ❌ Only superadmin can promote to admin */
+    if (role === "admin" && !can(caller, "user.assignAdmin"))
+      return res.status(403).json({
+        success: false,
+        message: "Only SuperAdmin can assign admin",
       });
 
     /* ❌ Cannot remove last admin */
@@ -136,9 +177,18 @@ router.put("/users/update-role", authMiddleware, requireAdmin, async (req, res)
       }
     }
 
+    const previousRole = target.role;
     target.role = role;
     await target.save();
 
+    await recordAudit(req, {
+      action: "user.role.update",
+      target,
+      targetType: "user",
+      before: { role: previousRole },
+      after: { role },
+    });
+
     await pushNotification(
       io,
       target.email,
@@ -162,7 +212,7 @@ router.put("/users/update-role", authMiddleware, requireAdmin, async (req, res)
 });
 
 /* DELETE USER */
-router.delete("/users/:id", authMiddleware, requireAdmin, async (req, res) => {
+router.delete("/users/:id", authMiddleware, authorize("admin.access"), async (req, res) => {
   try {
     const { id } = req.params;
     const io = req.app.get("io");
@@ -180,19 +230,31 @@ router.delete("/users/:id", authMiddleware, requireAdmin, async (req, res) => {
       return res.status(403).json({ success: false, message: "Cannot delete Super Admin" });
     }
 
-    if (target.role === "admin" && caller.role !== "superadmin") {
+    if (!can(caller, "user.delete", target)) {
       return res.status(403).json({ success: false, message: "Only SuperAdmin can delete admin users" });
     }
 
     await User.findByIdAndDelete(id);
 
+    await recordAudit(req, {
+      action: "user.delete",
+      target,
+      targetType: "user",
+      before: { name: target.name, email: target.email, role: target.role },
+    });
+
+    // Project.client / Project.developer are ObjectId refs
     let deleteQuery = {};
-    if (target.role === "client") deleteQuery = { "client.email": target.email };
-    if (target.role === "developer") deleteQuery = { "developer.email": target.email };
+    if (target.role === "client") deleteQuery = { client: target._id };
+    if (target.role === "developer") deleteQuery = { developer: target._id };
 
     if (Object.keys(deleteQuery).length > 0) {
       const projects = await Project.find(deleteQuery);
       await Project.deleteMany(deleteQuery);
+      await removeAttachments({
+        resourceType: "project",
+        resource: { $in: projects.map((p) => p._id) },
+      });
 
       projects.forEach((p) => io?.emit("project:deleted", p._id));
     }
@@ -215,10 +277,376 @@ router.delete("/users/:id", authMiddleware, requireAdmin, async (req, res) => {
 });
 
 
+/* ============================================================================
+   📌 SUSPEND / BAN / UNSUSPEND
+   Takes effect immediately: sessions revoked, live sockets dropped.
+============================================================================ */
+const loadTargetUser = (req) => User.findById(req.params.id);
+
+const STATUS_AUDIT_ACTIONS = {
+  active: "user.unsuspend",
+  suspended: "user.suspend",
+  banned: "user.ban",
+};
+
+const setAccountStatus = async (req, target, status, { reason = "", until = null } = {}) => {
+  const io = req.app.get("io");
+  const before = { status: target.status || "active", suspension: target.suspension };
+
+  target.status = status;
+  target.suspension =
+    status === "active"
+      ? { reason: "", until: null, by: null, at: null }
+      : { reason, until, by: req.user._id, at: new Date() };
+  await target.save();
+
+  if (status !== "active") {
+    await revokeAllSessions(target._id);
+    io?.in(String(target._id)).disconnectSockets(true);
+  }
+
+  await recordAudit(req, {
+    action: STATUS_AUDIT_ACTIONS[status],
+    target,
+    targetType: "user",
+    before,
+    after: { status: target.status, suspension: target.suspension },
+  });
+
+  const message =
+    status === "banned"
+      ? `Your account has been banned.${reason ? ` Reason: ${reason}` : ""}`
+      : status === "suspended"
+      ? `Your account has been suspended${until ? ` until ${until.toUTCString()}` : ""}.${
+          reason ? ` Reason: ${reason}` : ""
+        }`
+      : "Your account has been reinstated. Welcome back!";
+
+  // In-app for when they return, email because they can't log in right now
+  try {
+    await notifyUser(io, target, { message, type: "security" });
+    await sendEmail(
+      target.email,
+      "Your CodeCommunity account",
+      `<p>Hello ${target.name},</p><p>${message}</p>`
+    );
+  } catch (notifyErr) {
+    console.error("⚠️ Account status notification failed:", notifyErr.message);
+  }
+
+  io?.emit("user:updated", {
+    _id: target._id,
+    name: target.name,
+    email: target.email,
+    role: target.role,
+    status: target.status,
+  });
+};
+
+router.post(
+  "/users/:id/suspend",
+  authMiddleware,
+  authorize("user.suspend", { load: loadTargetUser, message: "Cannot suspend this user" }),
+  async (req, res) => {
+    try {
+      const { reason = "", until, days } = req.body;
+
+      let untilDate = null;
+      if (until) untilDate = new Date(until);
+      else if (days) untilDate = new Date(Date.now() + Number(days) * 24 * 60 * 60 * 1000);
+
+      if (untilDate && (Number.isNaN(untilDate.getTime()) || untilDate <= new Date()))
+        return res
+          .status(400)
+          .json({ success: false, message: "Suspension end must be a future date" });
+
+      if (req.resource.status === "banned")
+        return res.status(400).json({ success: false, message: "User is banned — unban first" });
+      if (req.resource.status === "deleted")
+        return res.status(400).json({ success: false, message: "Account has been deleted" });
+
+      await setAccountStatus(req, req.resource, "suspended", {
+        reason: String(reason).trim(),
+        until: untilDate,
+      });
+
+      res.json({ success: true, message: "User suspended", until: untilDate });
+    } catch (err) {
+      console.error("❌ Suspend user error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+router.post(
+  "/users/:id/ban",
+  authMiddleware,
+  authorize("user.suspend", { load: loadTargetUser, message: "Cannot ban this user" }),
+  async (req, res) => {
+    try {
+      const reason = String(req.body.reason || "").trim();
+      if (!reason)
+        return res
+          .status(400)
+          .json({ success: false, message: "A reason is required to ban a user" });
+
+      if (req.resource.status === "deleted")
+        return res.status(400).json({ success: false, message: "Account has been deleted" });
+
+      await setAccountStatus(req, req.resource, "banned", { reason });
+
+      res.json({ success: true, message: "User banned" });
+    } catch (err) {
+      console.error("❌ Ban user error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// Lifts a suspension or a ban
+router.post(
+  "/users/:id/unsuspend",
+  authMiddleware,
+  authorize("user.suspend", { load: loadTargetUser, message: "Cannot modify this user" }),
+  async (req, res) => {
+    try {
+      if (!["suspended", "banned"].includes(req.resource.status))
+        return res.status(400).json({ success: false, message: "User is not suspended" });
+
+      await setAccountStatus(req, req.resource, "active");
+
+      res.json({ success: true, message: "User reinstated" });
+    } catch (err) {
+      console.error("❌ Unsuspend user error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ============================================================================
+   📌 INVITATIONS (SuperAdmin) — invite by email with a chosen role
+   ?status=pending|accepted|revoked|expired
+============================================================================ */
+const INVITABLE_ROLES = ["developer", "client", "admin"];
+
+router.get("/invitations", authMiddleware, authorize("invitation.manage"), async (req, res) => {
+  try {
+    const { status = "pending" } = req.query;
+    const now = new Date();
+
+    const filters = {
+      pending: { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      accepted: { acceptedAt: { $ne: null } },
+      revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+      expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+      all: {},
+    };
+
+    if (!filters[status])
+      return res.status(400).json({ success: false, message: "Invalid status filter" });
+
+    const invitations = await Invitation.find(filters[status])
+      .populate("invitedBy", "name email")
+      .populate("acceptedBy", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, invitations, total: invitations.length });
+  } catch (err) {
+    console.error("❌ Fetch invitations error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+router.post("/invitations", authMiddleware, authorize("invitation.manage"), async (req, res) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    const { role } = req.body;
+
+    if (!email || !role)
+      return res.status(400).json({ success: false, message: "Email and role are required" });
+
+    if (!INVITABLE_ROLES.includes(role))
+      return res.status(400).json({ success: false, message: "Invalid role" });
+
+    if (await User.exists({ email }))
+      return res.status(400).json({
+        success: false,
+        message: "A user with this email already exists — change their role instead",
+      });
+
+    const pending = await Invitation.findOne({
+      email,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (pending)
+      return res.status(400).json({
+        success: false,
+        message: "This email already has a pending invitation — resend or revoke it",
+      });
+
+    const invitation = new Invitation({ email, role, invitedBy: req.user._id });
+    await sendInvitation(invitation, req.user);
+
+    await recordAudit(req, {
+      action: "invitation.create",
+      target: invitation,
+      targetType: "invitation",
+      after: { email, role },
+    });
+
+    res.status(201).json({ success: true, message: `Invitation sent to ${email}`, invitation });
+  } catch (err) {
+    console.error("❌ Create invitation error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+router.post(
+  "/invitations/:id/resend",
+  authMiddleware,
+  authorize("invitation.manage", { load: (req) => Invitation.findById(req.params.id) }),
+  async (req, res) => {
+    try {
+      const invitation = req.resource;
+
+      // Expired invitations can be resent — that simply issues a fresh link
+      if (invitation.acceptedAt || invitation.revokedAt)
+        return res
+          .status(400)
+          .json({ success: false, message: `Invitation already ${invitation.status}` });
+
+      await sendInvitation(invitation, req.user);
+
+      await recordAudit(req, {
+        action: "invitation.resend",
+        target: invitation,
+        targetType: "invitation",
+        metadata: { sendCount: invitation.sendCount },
+      });
+
+      res.json({ success: true, message: "Invitation resent", invitation });
+    } catch (err) {
+      console.error("❌ Resend invitation error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+router.delete(
+  "/invitations/:id",
+  authMiddleware,
+  authorize("invitation.manage", { load: (req) => Invitation.findById(req.params.id) }),
+  async (req, res) => {
+    try {
+      const invitation = req.resource;
+
+      if (invitation.acceptedAt || invitation.revokedAt)
+        return res
+          .status(400)
+          .json({ success: false, message: `Invitation already ${invitation.status}` });
+
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      await recordAudit(req, {
+        action: "invitation.revoke",
+        target: invitation,
+        targetType: "invitation",
+      });
+
+      res.json({ success: true, message: "Invitation revoked" });
+    } catch (err) {
+      console.error("❌ Revoke invitation error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ============================================================================
+   📌 IMPERSONATION (SuperAdmin "log in as" for support)
+   Tokens come back in the body — the superadmin's own cookies stay untouched.
+   Send them as "Authorization: Bearer <token>" / socket auth.token.
+============================================================================ */
+router.post("/impersonate/stop", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.impersonatedBy)
+      return res.status(400).json({ success: false, message: "Not impersonating" });
+
+    await revokeSession(req.sessionId, req.user._id);
+    await disconnectSessionSockets(req.app.get("io"), req.user._id, { only: req.sessionId });
+
+    await recordAudit(req, {
+      action: "impersonation.stop",
+      actor: await User.findById(req.user.impersonatedBy).select("email role"),
+      target: { _id: req.user._id, email: req.user.email },
+      targetType: "user",
+      metadata: { sessionId: req.sessionId },
+    });
+
+    res.json({ success: true, message: "Impersonation ended" });
+  } catch (err) {
+    console.error("❌ Stop impersonation error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+router.post(
+  "/impersonate/:userId",
+  authMiddleware,
+  authorize("user.impersonate", {
+    load: (req) => User.findById(req.params.userId).select("-password"),
+    message: "Only SuperAdmin can impersonate, and never another SuperAdmin",
+  }),
+  async (req, res) => {
+    try {
+      const target = req.resource;
+
+      // No chains: an impersonation session can't start another one
+      if (req.user.impersonatedBy)
+        return res.status(403).json({ success: false, message: "Already impersonating" });
+
+      if (target.email.toLowerCase() === SUPER_ADMIN_EMAIL || String(target._id) === req.user._id)
+        return res.status(403).json({ success: false, message: "Cannot impersonate this user" });
+
+      const { session, token, socketToken } = await createImpersonationSession(
+        target,
+        req.user,
+        req
+      );
+
+      await recordAudit(req, {
+        action: "impersonation.start",
+        target,
+        targetType: "user",
+        metadata: { sessionId: String(session._id), expiresAt: session.expiresAt },
+      });
+
+      res.json({
+        success: true,
+        impersonation: true,
+        token,
+        socketToken,
+        expiresAt: session.expiresAt,
+        user: {
+          _id: target._id,
+          name: target.name,
+          email: target.email,
+          role: target.role,
+        },
+      });
+    } catch (err) {
+      console.error("❌ Start impersonation error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
 /* ============================================================================
    📌 GET PROJECTS (⭐ FIXED WITH POPULATE)
 ============================================================================ */
-router.get("/projects", authMiddleware, requireAdmin, async (req, res) => {
+router.get("/projects", authMiddleware, authorize("project.viewAll"), async (req, res) => {
   try {
     const { page = 1, limit = 20, search = "" } = req.query;
 
@@ -253,7 +681,7 @@ router.get("/projects", authMiddleware, requireAdmin, async (req, res) => {
 /* ============================================================================
    📌 DELETE PROJECT
 ============================================================================ */
-router.delete("/projects/:id", authMiddleware, requireAdmin, async (req, res) => {
+router.delete("/projects/:id", authMiddleware, authorize("project.delete"), async (req, res) => {
   try {
     const { id } = req.params;
     const io = req.app.get("io");
@@ -265,7 +693,25 @@ router.delete("/projects/:id", authMiddleware, requireAdmin, async (req, res) =>
     if (!project)
       return res.status(404).json({ success: false, message: "Project not found" });
 
-    await Project.findByIdAndDelete(id);
+    // Settle the dispute first (POST /disputes/:id/resolve)
+    const deleted = await Project.findOneAndDelete({ _id: id, openDispute: null });
+    if (!deleted)
+      return res
+        .status(409)
+        .json({ success: false, message: "Resolve the open dispute before deleting" });
+    await removeAttachments({ resourceType: "project", resource: project._id });
+
+    await recordAudit(req, {
+      action: "project.delete",
+      target: project,
+      targetType: "project",
+      before: {
+        title: project.title,
+        status: project.status,
+        client: project.client?.email || null,
+        developer: project.developer?.email || null,
+      },
+    });
 
     const msg = `Your project "${project.title}" was deleted by admin.`;
 
@@ -290,7 +736,7 @@ router.delete("/projects/:id", authMiddleware, requireAdmin, async (req, res) =>
 /* ============================================================================
    📌 GET NOTIFICATIONS
 ============================================================================ */
-router.get("/notifications", authMiddleware, requireAdmin, async (req, res) => {
+router.get("/notifications", authMiddleware, authorize("notification.viewAll"), async (req, res) => {
   try {
     const { page = 1, limit = 20, search = "" } = req.query;
 
@@ -325,7 +771,7 @@ router.get("/notifications", authMiddleware, requireAdmin, async (req, res) => {
 router.delete(
   "/notifications/:id",
   authMiddleware,
-  requireAdmin,
+  authorize("notification.delete"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -338,6 +784,14 @@ router.delete(
           .status(404)
           .json({ success: false, message: "Notification not found" });
 
+      await recordAudit(req, {
+        action: "notification.delete",
+        target: note,
+        targetType: "notification",
+        targetLabel: note.userEmail,
+        before: { userEmail: note.userEmail, message: note.message, type: note.type },
+      });
+
       io?.emit("notification:deleted", id);
 
       res.json({ success: true, message: "Notification deleted" });
@@ -348,4 +802,362 @@ router.delete(
   }
 );
 
+/* ============================================================================
+   📌 LOGIN LOCKOUTS (?all=true also lists throttled, not-yet-locked records)
+============================================================================ */
+router.get("/lockouts", authMiddleware, authorize("lockout.manage"), async (req, res) => {
+  try {
+    const lockouts = await listLockouts({ activeOnly: req.query.all !== "true" });
+    res.json({ success: true, lockouts, total: lockouts.length });
+  } catch (err) {
+    console.error("❌ Fetch lockouts error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+router.delete("/lockouts/:id", authMiddleware, authorize("lockout.manage"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Lockout not found" });
+
+    const record = await clearLockout(req.params.id);
+
+    if (!record)
+      return res.status(404).json({ success: false, message: "Lockout not found" });
+
+    await recordAudit(req, {
+      action: "lockout.clear",
+      target: record.user,
+      targetType: "user",
+      targetLabel: record.key,
+      before: { failures: record.failures, lockedUntil: record.lockedUntil },
+    });
+
+    res.json({ success: true, message: "Lockout cleared" });
+  } catch (err) {
+    console.error("❌ Clear lockout error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ============================================================================
+   📌 AUDIT LOG
+   ?actor=<id|email>&action=user.*&from=2024-01-01&to=2024-02-01&page=1&limit=50
+   ?format=csv → download (up to AUDIT_EXPORT_LIMIT rows, newest first)
+============================================================================ */
+const AUDIT_EXPORT_LIMIT = 10000;
+
+router.get("/audit-logs", authMiddleware, authorize("audit.view"), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, format } = req.query;
+    const query = buildAuditQuery(req.query);
+
+    if (format === "csv") {
+      const entries = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .lean();
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="audit-log-${stamp}.csv"`);
+      return res.send(auditLogsToCsv(entries));
+    }
+
+    const perPage = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const skip = (Math.max(Number(page) || 1, 1) - 1) * perPage;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(perPage).lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({ success: true, logs, total });
+  } catch (err) {
+    console.error("❌ Fetch audit log error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ============================================================================
+   📌 PLATFORM SETTINGS (read: Admin + SuperAdmin, write: SuperAdmin)
+============================================================================ */
+router.get("/settings", authMiddleware, authorize("settings.view"), async (req, res) => {
+  try {
+    const settings = await getAllSettings();
+    res.json({ success: true, settings });
+  } catch (err) {
+    console.error("❌ Fetch settings error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+router.put(
+  "/settings/require-2fa",
+  authMiddleware,
+  authorize("settings.update", { message: "Only SuperAdmin can change security settings" }),
+  async (req, res) => {
+    try {
+      const { required } = req.body;
+      if (typeof required !== "boolean")
+        return res.status(400).json({ success: false, message: "`required` must be a boolean" });
+
+      const previous = await getSetting(SETTINGS.REQUIRE_ADMIN_2FA);
+      await setSetting(SETTINGS.REQUIRE_ADMIN_2FA, required, req.user._id);
+
+      await recordAudit(req, {
+        action: "settings.update",
+        targetType: "setting",
+        targetLabel: SETTINGS.REQUIRE_ADMIN_2FA,
+        before: { value: previous },
+        after: { value: required },
+      });
+
+      res.json({
+        success: true,
+        message: required
+          ? "2FA is now required for admin and superadmin accounts"
+          : "2FA is now optional for admin and superadmin accounts",
+      });
+    } catch (err) {
+      console.error("❌ Update 2FA setting error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// Days a client has to answer a completion request before it auto-accepts
+router.put(
+  "/settings/completion-review-days",
+  authMiddleware,
+  authorize("settings.update", { message: "Only SuperAdmin can change platform settings" }),
+  async (req, res) => {
+    try {
+      const days = Number(req.body.days);
+      if (!Number.isInteger(days) || days < 1 || days > 60)
+        return res
+          .status(400)
+          .json({ success: false, message: "`days` must be a whole number from 1 to 60" });
+
+      const previous = await getSetting(SETTINGS.COMPLETION_REVIEW_DAYS);
+      await setSetting(SETTINGS.COMPLETION_REVIEW_DAYS, days, req.user._id);
+
+      await recordAudit(req, {
+        action: "settings.update",
+        targetType: "setting",
+        targetLabel: SETTINGS.COMPLETION_REVIEW_DAYS,
+        before: { value: previous },
+        after: { value: days },
+      });
+
+      res.json({
+        success: true,
+        message: `Clients now have ${days} day(s) to answer completion requests`,
+      });
+    } catch (err) {
+      console.error("❌ Update completion window error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ============================================================================
+   📌 DISPUTES QUEUE — oldest first
+   ?status=open|under-review|resolved|withdrawn (default: still open)
+   &assigned=me|unassigned&page=1&limit=20
+============================================================================ */
+router.get("/disputes", authMiddleware, authorize("dispute.manage"), async (req, res) => {
+  try {
+    const { status, assigned, page = 1, limit = 20 } = req.query;
+
+    const query = { status: status ? String(status) : { $in: OPEN_DISPUTE_STATUSES } };
+    if (assigned === "me") query.assignedTo = req.user._id;
+    if (assigned === "unassigned") query.assignedTo = null;
+
+    const perPage = Math.min(Math.max(Number(limit) || 20, 1), 100);
+    const skip = (Math.max(Number(page) || 1, 1) - 1) * perPage;
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(query)
+        .select("-statements")
+        .populate({
+          path: "project",
+          select: "title status client developer",
+          populate: [
+            { path: "client", select: "name email" },
+            { path: "developer", select: "name email" },
+          ],
+        })
+        .populate("openedBy", "name role")
+        .populate("assignedTo", "name")
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(perPage),
+      Dispute.countDocuments(query),
+    ]);
+
+    res.json({ success: true, disputes, total });
+  } catch (err) {
+    console.error("❌ Fetch disputes error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Dispute + its project, or a 404/400 already sent
+const loadOpenDispute = async (req, res) => {
+  const dispute = await Dispute.findById(req.params.id).catch(() => null);
+  if (!dispute) {
+    res.status(404).json({ success: false, message: "Dispute not found" });
+    return null;
+  }
+  if (!isDisputeOpen(dispute)) {
+    res.status(400).json({ success: false, message: "This dispute is closed" });
+    return null;
+  }
+
+  const project = await Project.findById(dispute.project);
+  if (!project) {
+    res.status(404).json({ success: false, message: "Project not found" });
+    return null;
+  }
+
+  return { dispute, project };
+};
+
+/* ============================================================================
+   📌 ASSIGN DISPUTE { adminId? } — defaults to the caller
+============================================================================ */
+router.post(
+  "/disputes/:id/assign",
+  authMiddleware,
+  authorize("dispute.manage"),
+  async (req, res) => {
+    try {
+      const found = await loadOpenDispute(req, res);
+      if (!found) return;
+      const { dispute, project } = found;
+
+      const adminId = req.body.adminId || req.user._id;
+      const admin = await User.findById(adminId).select("name role").catch(() => null);
+      if (!admin || !can(admin, "dispute.manage"))
+        return res
+          .status(400)
+          .json({ success: false, message: "Disputes can only be assigned to admins" });
+
+      const before = { assignedTo: dispute.assignedTo, status: dispute.status };
+
+      dispute.assignedTo = admin._id;
+      dispute.assignedAt = new Date();
+      dispute.status = "under-review";
+      await dispute.save();
+
+      await recordAudit(req, {
+        action: "dispute.assign",
+        target: dispute,
+        targetType: "dispute",
+        targetLabel: project.title,
+        before,
+        after: { assignedTo: admin._id, status: dispute.status },
+      });
+
+      await notifyDisputeParties(
+        req.app.get("io"),
+        dispute,
+        project,
+        `🛡 ${admin.name} is now reviewing the dispute on "${project.title}"`,
+        { skip: req.user._id }
+      );
+
+      res.json({ success: true, dispute });
+    } catch (err) {
+      console.error("❌ Assign dispute error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ============================================================================
+   📌 RESOLVE DISPUTE { outcome: completed|cancelled|in-progress, note }
+   The outcome becomes the project's status (through the state machine)
+============================================================================ */
+router.post(
+  "/disputes/:id/resolve",
+  authMiddleware,
+  authorize("dispute.manage"),
+  async (req, res) => {
+    try {
+      const { outcome } = req.body;
+      const note = String(req.body.note || "").trim();
+
+      if (!DISPUTE_OUTCOMES.includes(outcome))
+        return res.status(400).json({
+          success: false,
+          message: `outcome must be one of: ${DISPUTE_OUTCOMES.join(", ")}`,
+        });
+      if (!note)
+        return res
+          .status(400)
+          .json({ success: false, message: "Please explain the resolution" });
+
+      const found = await loadOpenDispute(req, res);
+      if (!found) return;
+      const { dispute, project } = found;
+
+      const previousStatus = project.status;
+      if (project.status !== outcome) {
+        const result = transitionProject(project, outcome, {
+          actor: req.user,
+          reason: `Dispute resolved: ${note}`,
+        });
+        if (result.error)
+          return res.status(result.status).json({ success: false, message: result.error });
+      }
+
+      if (["completed", "cancelled"].includes(outcome)) {
+        closeOpenRequests(project, "Settled by the dispute resolution");
+      }
+      project.openDispute = null;
+      await project.save();
+
+      dispute.status = "resolved";
+      dispute.resolution = {
+        outcome,
+        note,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date(),
+      };
+      if (!dispute.assignedTo) {
+        dispute.assignedTo = req.user._id;
+        dispute.assignedAt = new Date();
+      }
+      await dispute.save();
+
+      await recordAudit(req, {
+        action: "dispute.resolve",
+        target: dispute,
+        targetType: "dispute",
+        targetLabel: project.title,
+        before: { projectStatus: previousStatus },
+        after: { projectStatus: project.status, outcome, note },
+      });
+
+      await notifyDisputeParties(
+        req.app.get("io"),
+        dispute,
+        project,
+        `⚖️ The dispute on "${project.title}" was resolved (${outcome}): ${note}`,
+        { skip: req.user._id }
+      );
+
+      // Milestones all approved while it was on hold → complete it now
+      if (outcome === "in-progress") await completeIfAllApproved(req.app.get("io"), project);
+
+      res.json({ success: true, dispute, project });
+    } catch (err) {
+      console.error("❌ Resolve dispute error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
 export default router;
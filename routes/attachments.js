@@ -0,0 +1,188 @@
+import express from "express";
+import Attachment from "../models/Attachment.js";
+import authMiddleware, { requireVerifiedEmail } from "../middleware/authMiddleware.js";
+import authorize from "../middleware/authorize.js";
+import storage from "../utils/storage.js";
+import { notifyUser } from "../utils/notify.js";
+import {
+  RESOURCE_TYPES,
+  receiveFiles,
+  loadResource,
+  canViewResource,
+  canUploadTo,
+  canViewAttachment,
+  storeFiles,
+  removeAttachments,
+  formatAttachment,
+} from "../utils/attachments.js";
+
+const router = express.Router();
+
+// Resolves :resourceType/:resourceId → req.resource (404 when unknown / gone)
+const loadTarget = async (req, res, next) => {
+  try {
+    const { resourceType, resourceId } = req.params;
+    if (!RESOURCE_TYPES.includes(resourceType))
+      return res.status(404).json({ success: false, message: "Unknown resource type" });
+
+    const resource = await loadResource(resourceType, resourceId);
+    if (!resource) return res.status(404).json({ success: false, message: "Not found" });
+
+    req.resource = resource;
+    next();
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(404).json({ success: false, message: "Not found" });
+    console.error("❌ Attachment target error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+};
+
+/* =====================================================
+   GET /api/attachments/:id/download
+   Streams the file — only for people who can see its resource
+===================================================== */
+router.get("/:id/download", authMiddleware, async (req, res) => {
+  try {
+    const attachment = await Attachment.findById(req.params.id).select("+storageKey");
+    if (!attachment || !(await canViewAttachment(req.user, attachment)))
+      return res.status(404).json({ success: false, message: "File not found" });
+
+    const stream = await storage.stream(attachment.storageKey);
+
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Content-Length": attachment.size,
+      "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(
+        attachment.originalName
+      )}`,
+      "Cache-Control": "private, no-store",
+    });
+
+    stream.on("error", (err) => {
+      console.error("❌ Attachment stream error:", err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    if (err.name === "CastError" || err.code === "ENOENT")
+      return res.status(404).json({ success: false, message: "File not found" });
+    console.error("❌ Attachment download error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* =====================================================
+   GET /api/attachments/:resourceType/:resourceId
+   requirement / project → its files · chat → files between me and :resourceId
+===================================================== */
+router.get("/:resourceType/:resourceId", authMiddleware, loadTarget, async (req, res) => {
+  try {
+    const { resourceType } = req.params;
+
+    if (!canViewResource(req.user, resourceType, req.resource))
+      return res.status(403).json({ success: false, message: "Access denied" });
+
+    let filter = { resourceType, resource: req.resource._id };
+    if (resourceType === "chat") {
+      filter = {
+        resourceType,
+        $or: [
+          { uploader: req.user._id, resource: req.resource._id },
+          { uploader: req.resource._id, resource: req.user._id, message: { $ne: null } },
+        ],
+      };
+    }
+
+    const attachments = await Attachment.find(filter)
+      .populate("uploader", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, attachments: attachments.map(formatAttachment) });
+  } catch (err) {
+    console.error("❌ Attachment list error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* =====================================================
+   POST /api/attachments/:resourceType/:resourceId
+   multipart/form-data, field "files" (up to 5)
+   requirement → its client · project → its client & developer
+   dispute → its parties & admins while open (evidence)
+   chat → anyone but yourself (attach to a message with sendMessage)
+===================================================== */
+router.post(
+  "/:resourceType/:resourceId",
+  authMiddleware,
+  requireVerifiedEmail,
+  loadTarget,
+  (req, res, next) => {
+    if (req.params.resourceType === "chat" && req.user.impersonatedBy)
+      return res.status(403).json({
+        success: false,
+        code: "IMPERSONATION_FORBIDDEN",
+        message: "Files can't be sent while impersonating",
+      });
+
+    if (!canUploadTo(req.user, req.params.resourceType, req.resource))
+      return res.status(403).json({ success: false, message: "Access denied" });
+
+    next();
+  },
+  receiveFiles,
+  async (req, res) => {
+    try {
+      const { resourceType } = req.params;
+
+      if (!req.files?.length)
+        return res.status(400).json({ success: false, message: "No files uploaded" });
+
+      const attachments = await storeFiles(req.files, {
+        resourceType,
+        resource: req.resource._id,
+        uploader: req.user._id,
+      });
+
+      // 📎 Let the other side of the project know about deliverables
+      if (resourceType === "project") {
+        const project = req.resource;
+        const other =
+          String(project.client) === String(req.user._id) ? project.developer : project.client;
+
+        if (other) {
+          await notifyUser(req.app.get("io"), { _id: other }, {
+            message: `📎 ${req.user.name} added ${attachments.length} file(s) to "${project.title}"`,
+            type: "project",
+            link: `/projects/${project._id}`,
+          });
+        }
+      }
+
+      res.status(201).json({ success: true, attachments: attachments.map(formatAttachment) });
+    } catch (err) {
+      console.error("❌ Attachment save error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* =====================================================
+   DELETE /api/attachments/:id (uploader or admin)
+===================================================== */
+router.delete(
+  "/:id",
+  authMiddleware,
+  authorize("attachment.delete", { load: (req) => Attachment.findById(req.params.id) }),
+  async (req, res) => {
+    try {
+      await removeAttachments({ _id: req.resource._id });
+      res.json({ success: true, message: "File deleted" });
+    } catch (err) {
+      console.error("❌ Attachment delete error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+export default router;
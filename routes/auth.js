@@ -1,28 +1,73 @@
 import express from "express";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import dotenv from "dotenv";
 import multer from "multer";
-import { Resend } from "resend";
-import authMiddleware from "../middleware/authMiddleware.js";
+import authMiddleware, {
+  requireSession,
+  forbidImpersonation,
+} from "../middleware/authMiddleware.js";
+import {
+  ACCESS_TOKEN_MAX_AGE,
+  REFRESH_TOKEN_MAX_AGE,
+  createSession,
+  rotateSession,
+  verifySessionToken,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+  listActiveSessions,
+  getClientIp,
+  disconnectSessionSockets,
+} from "../utils/session.js";
+import ApiKey from "../models/ApiKey.js";
+import { generateApiKey, formatApiKey, API_KEY_SCOPES } from "../utils/apiKeys.js";
+import {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../utils/totp.js";
+import { getSetting, SETTINGS } from "../utils/settings.js";
+import { permissionsFor } from "../utils/permissions.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import {
+  checkAttempt,
+  recordFailure,
+  clearFailures,
+  rejectThrottled,
+} from "../utils/loginGuard.js";
+import { validatePassword } from "../utils/password.js";
+import { recordAudit } from "../utils/audit.js";
+import { getRestriction, rejectRestricted } from "../utils/accountStatus.js";
+import {
+  findInvitationByToken,
+  claimInvitation,
+  releaseInvitation,
+} from "../utils/invitations.js";
+import { forgotPassword, resetPassword } from "../controller/authController.js";
 
 dotenv.config();
 
 const router = express.Router();
 const upload = multer({ dest: "uploads/" });
 
-const JWT_SECRET = process.env.JWT_SECRET;
-const SOCKET_SECRET = process.env.SOCKET_SECRET || JWT_SECRET;
-const RESET_SECRET = process.env.RESET_SECRET;
+const TWO_FACTOR_SECRET = process.env.TWO_FACTOR_SECRET || process.env.JWT_SECRET;
+const VERIFY_SECRET = process.env.VERIFY_SECRET || process.env.JWT_SECRET;
+
+// Roles anyone can sign up with; admins come in through invitations
+const SELF_SERVICE_ROLES = ["developer", "client"];
+
+// Minimum wait between two verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN_MS = 2 * 60 * 1000;
 const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
 
 // Optional cookie domain for production (e.g. ".vercel.app" or ".yourdomain.com")
 const COOKIE_DOMAIN = process.env.COOKIE_DOMAIN || null;
 
-const resend = new Resend(process.env.RESEND_API_KEY);
-const SENDER_EMAIL = process.env.RESEND_SENDER_EMAIL;
-
 /* ---------------------------------------------------------
    FORMAT USER
 ----------------------------------------------------------*/
@@ -43,6 +88,10 @@ const formatUser = (user) => {
     experience: user.experience || 0,
     charges: user.charges || 0,
     photo: user.photo ? `${base}${user.photo}` : null,
+    twoFactorEnabled: !!user.twoFactor?.enabled,
+    emailVerified: user.emailVerified !== false,
+    pendingEmail: user.pendingEmail || null,
+    deletionScheduledFor: user.deletion?.scheduledFor || null,
   };
 };
 
@@ -54,6 +103,189 @@ const getToken = (req) => {
   return req.cookies.token || null;
 };
 
+/* ---------------------------------------------------------
+   AUTH COOKIES
+   token        → short-lived access token (httpOnly)
+   socketToken  → short-lived socket token (readable by JS)
+   refreshToken → rotating refresh token, only sent to /api/auth
+----------------------------------------------------------*/
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const cookieOptions = ({ httpOnly, maxAge, path = "/" }) => {
+  const isProd = process.env.NODE_ENV === "production";
+
+  const opts = {
+    httpOnly,
+    secure: isProd,
+    sameSite: isProd ? "None" : "Lax",
+    path,
+  };
+
+  if (maxAge) opts.maxAge = maxAge;
+  if (COOKIE_DOMAIN && isProd) opts.domain = COOKIE_DOMAIN;
+
+  return opts;
+};
+
+const setAuthCookies = (res, { token, socketToken, refreshToken }) => {
+  res.cookie("token", token, cookieOptions({ httpOnly: true, maxAge: ACCESS_TOKEN_MAX_AGE }));
+  // socketToken cookie is intentionally not httpOnly so frontend JS can access it if needed.
+  res.cookie(
+    "socketToken",
+    socketToken,
+    cookieOptions({ httpOnly: false, maxAge: ACCESS_TOKEN_MAX_AGE })
+  );
+  res.cookie(
+    "refreshToken",
+    refreshToken,
+    cookieOptions({ httpOnly: true, maxAge: REFRESH_TOKEN_MAX_AGE, path: REFRESH_COOKIE_PATH })
+  );
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions({ httpOnly: true }));
+  res.clearCookie("socketToken", cookieOptions({ httpOnly: false }));
+  res.clearCookie("refreshToken", cookieOptions({ httpOnly: true, path: REFRESH_COOKIE_PATH }));
+};
+
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  lastSeenAt: session.lastSeenAt,
+  createdAt: session.createdAt,
+  expiresAt: session.expiresAt,
+  current: String(session._id) === String(currentSessionId),
+  impersonated: !!session.impersonatedBy,
+});
+
+/* ---------------------------------------------------------
+   EMAIL VERIFICATION — signed link (24h) sent via sendEmail
+   The token carries the address being verified, so links for
+   an old address stop working once the email changes.
+----------------------------------------------------------*/
+const sendVerificationEmail = async (user, email) => {
+  const token = jwt.sign(
+    { id: user._id, email, purpose: "verify-email" },
+    VERIFY_SECRET,
+    { expiresIn: "24h" }
+  );
+
+  const link = `${CLIENT_URL}/verify-email?token=${token}`;
+
+  await sendEmail(
+    email,
+    "Verify your email - CodeCommunity",
+    `<p>Hello ${user.name}, please confirm your email address:</p>
+     <a href="${link}">Verify Email</a>
+     <p>This link expires in 24 hours.</p>`
+  );
+
+  await User.updateOne({ _id: user._id }, { verificationSentAt: new Date() });
+};
+
+/* ---------------------------------------------------------
+   COMPLETE LOGIN — create session, set cookies, respond
+----------------------------------------------------------*/
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Also covers the 2FA steps — an account can be suspended mid-login
+  const restriction = getRestriction(user);
+  if (restriction) return rejectRestricted(res, restriction);
+
+  await clearFailures("login", { email: user.email });
+
+  // Create a persisted session → short-lived access/socket tokens + refresh token
+  const { session, token, socketToken, refreshToken } = await createSession(user, req);
+
+  await recordAudit(req, {
+    action: "auth.login",
+    actor: user,
+    target: user,
+    targetType: "user",
+    metadata: { sessionId: String(session._id), twoFactor: !!user.twoFactor?.enabled },
+  });
+
+  setAuthCookies(res, { token, socketToken, refreshToken });
+
+  // Respond with user object AND socketToken (frontend can read from body or cookie)
+  const formatted = formatUser(user);
+  return res.json({
+    success: true,
+    ...extra,
+    user: {
+      ...formatted,
+      socketToken, // optional, convenient for client-side socket connect (but duplicate of cookie)
+    },
+  });
+};
+
+/* ---------------------------------------------------------
+   2FA CHALLENGE TOKENS
+   "2fa"       → password ok, waiting for a TOTP/recovery code
+   "2fa-setup" → password ok, but 2FA is mandatory and not set up yet
+----------------------------------------------------------*/
+const PRIVILEGED_ROLES = ["admin", "superadmin"];
+
+const signChallenge = (userId, purpose) =>
+  jwt.sign({ id: userId, purpose }, TWO_FACTOR_SECRET, {
+    expiresIn: purpose === "2fa-setup" ? "15m" : "5m",
+  });
+
+const verifyChallenge = (challengeToken, purpose) => {
+  try {
+    const decoded = jwt.verify(challengeToken, TWO_FACTOR_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+const isTwoFactorMandatory = async (user) =>
+  PRIVILEGED_ROLES.includes(user.role) && !!(await getSetting(SETTINGS.REQUIRE_ADMIN_2FA));
+
+// Setup/activate can be called while logged in OR with a "2fa-setup" challenge
+const twoFactorSetupAuth = (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) return authMiddleware(req, res, () => requireSession(req, res, next));
+
+  const decoded = verifyChallenge(challengeToken, "2fa-setup");
+  if (!decoded) {
+    return res.status(401).json({ success: false, message: "Invalid or expired challenge" });
+  }
+
+  req.user = { _id: String(decoded.id), id: String(decoded.id) };
+  req.twoFactorChallenge = true;
+  next();
+};
+
+const loadTwoFactorUser = (userId) =>
+  User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+
+/**
+ * Check a TOTP code (with replay protection) or a one-time recovery code.
+ * Mutates the user document; caller must save it.
+ */
+const consumeSecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const idx = user.twoFactor.recoveryCodes.indexOf(hashed);
+    if (idx === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(idx, 1);
+    return true;
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null) return false;
+  if (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
 /* ---------------------------------------------------------
    REGISTER
 ----------------------------------------------------------*/
@@ -64,14 +296,14 @@ router.post("/register", async (req, res) => {
     if (!name || !email || !password)
       return res.status(400).json({ success: false, message: "All fields required" });
 
+    // Admin accounts are only created through invitations
+    if (role && !SELF_SERVICE_ROLES.includes(role))
+      return res.status(400).json({ success: false, message: "Invalid role" });
+
     // Password validation
-    const passRules = /^(?=.*[A-Z])(?=.*\W).{8,}$/;
-    if (!passRules.test(password)) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Password must be at least 8 characters, include one uppercase letter and one special character.",
-      });
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
     }
 
     const exists = await User.findOne({ email: email.toLowerCase() });
@@ -80,20 +312,120 @@ router.post("/register", async (req, res) => {
 
     const hashed = await bcrypt.hash(password, 10);
 
-    await User.create({
+    const user = await User.create({
       name,
       email: email.toLowerCase(),
       password: hashed,
       role: role || "client",
+      emailVerified: false,
     });
 
-    return res.json({ success: true, message: "Registration successful" });
+    try {
+      await sendVerificationEmail(user, user.email);
+    } catch (mailErr) {
+      // Account still exists — user can ask for a new link via /resend-verification
+      console.error("VERIFICATION EMAIL ERROR:", mailErr.message);
+    }
+
+    return res.json({
+      success: true,
+      message: "Registration successful. Please check your email to verify your account.",
+    });
   } catch (err) {
     console.error("REGISTER ERROR:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
+/* ---------------------------------------------------------
+   INVITATIONS (public side)
+   GET  /invitations/:token → who/what the link is for (prefill form)
+   POST /accept-invite { token, name, password } → account + login
+----------------------------------------------------------*/
+router.get("/invitations/:token", async (req, res) => {
+  try {
+    const found = await findInvitationByToken(req.params.token);
+    if (!found)
+      return res.status(400).json({ success: false, message: "Invalid or expired invitation" });
+
+    return res.json({
+      success: true,
+      invitation: {
+        email: found.invitation.email,
+        role: found.invitation.role,
+        expiresAt: found.invitation.expiresAt,
+      },
+    });
+  } catch (err) {
+    console.error("INVITATION LOOKUP ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+router.post("/accept-invite", async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !name || !password)
+      return res.status(400).json({ success: false, message: "All fields required" });
+
+    const passwordError = validatePassword(password);
+    if (passwordError) return res.status(400).json({ success: false, message: passwordError });
+
+    const found = await findInvitationByToken(token);
+    if (!found)
+      return res.status(400).json({ success: false, message: "Invalid or expired invitation" });
+
+    const { invitation } = found;
+
+    if (await User.exists({ email: invitation.email }))
+      return res.status(400).json({ success: false, message: "User already exists" });
+
+    if (!(await claimInvitation(found)))
+      return res.status(400).json({ success: false, message: "Invalid or expired invitation" });
+
+    let user;
+    try {
+      user = await User.create({
+        name: String(name).trim(),
+        email: invitation.email,
+        password: await bcrypt.hash(password, 10),
+        role: invitation.role,
+        // The link was delivered to this address → already verified
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+    } catch (createErr) {
+      await releaseInvitation(invitation);
+      throw createErr;
+    }
+
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    await recordAudit(req, {
+      action: "invitation.accept",
+      actor: user,
+      target: invitation,
+      targetType: "invitation",
+      metadata: { role: invitation.role, invitedBy: String(invitation.invitedBy) },
+    });
+
+    if (await isTwoFactorMandatory(user)) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: signChallenge(user._id, "2fa-setup"),
+      });
+    }
+
+    return completeLogin(req, res, user);
+  } catch (err) {
+    console.error("ACCEPT INVITE ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
 /* ---------------------------------------------------------
    LOGIN — fixed cookie config + socket token
 ----------------------------------------------------------*/
@@ -101,109 +433,340 @@ router.post("/login", async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    if (!email || !password)
+      return res.status(400).json({ success: false, message: "Email and password required" });
+
+    const attempt = { email, ip: getClientIp(req) };
+    const io = req.app.get("io");
+
+    const check = await checkAttempt("login", attempt);
+    if (!check.allowed) return rejectThrottled(res, check);
+
     const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user)
-      return res.status(401).json({ success: false, message: "Invalid email or password" });
+    const match = user ? await bcrypt.compare(password, user.password) : false;
 
-    const match = await bcrypt.compare(password, user.password);
-    if (!match)
+    if (!match) {
+      await recordFailure("login", attempt, { io });
+      await recordAudit(req, {
+        action: "auth.login.failed",
+        target: user,
+        targetType: "user",
+        targetLabel: String(email).toLowerCase(),
+        metadata: { reason: user ? "wrong-password" : "unknown-email" },
+      });
       return res.status(401).json({ success: false, message: "Invalid email or password" });
+    }
 
-    // Create auth token
-    const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: "7d" });
+    // 🚫 Only told after the password checks out, so status can't be probed
+    const restriction = getRestriction(user);
+    if (restriction) return rejectRestricted(res, restriction);
 
-    // Create socket token (separate secret is recommended)
-    const socketToken = jwt.sign({ id: user._id }, SOCKET_SECRET, { expiresIn: "7d" });
+    // 🔐 Second step required → hand back a short-lived challenge instead of a session
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user._id, "2fa"),
+      });
+    }
 
-    const isProd = process.env.NODE_ENV === "production";
+    if (await isTwoFactorMandatory(user)) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: signChallenge(user._id, "2fa-setup"),
+      });
+    }
 
-    // Common cookie options
-    const commonOpts = {
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-      path: "/",
-    };
+    return completeLogin(req, res, user);
+  } catch (err) {
+    console.error("LOGIN ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
 
-    // Build options with environment-specific values
-    const authCookieOpts = {
-      httpOnly: true,
-      secure: isProd,
-      sameSite: isProd ? "None" : "Lax",
-      ...commonOpts,
-    };
-    const socketCookieOpts = {
-      httpOnly: false, // client needs to read this if you rely on js-cookie
-      secure: isProd,
-      sameSite: isProd ? "None" : "Lax",
-      ...commonOpts,
-    };
+/* ---------------------------------------------------------
+   LOGIN — step 2 (TOTP code or recovery code)
+----------------------------------------------------------*/
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyChallenge(challengeToken, "2fa");
+    if (!decoded)
+      return res.status(401).json({ success: false, message: "Invalid or expired challenge" });
+
+    if (!code && !recoveryCode)
+      return res.status(400).json({ success: false, message: "Code is required" });
 
-    if (COOKIE_DOMAIN && isProd) {
-      authCookieOpts.domain = COOKIE_DOMAIN;
-      socketCookieOpts.domain = COOKIE_DOMAIN;
+    const user = await loadTwoFactorUser(decoded.id);
+    if (!user || !user.twoFactor?.enabled)
+      return res.status(401).json({ success: false, message: "Invalid or expired challenge" });
+
+    const attempt = { email: user.email, ip: getClientIp(req) };
+
+    const check = await checkAttempt("login", attempt);
+    if (!check.allowed) return rejectThrottled(res, check);
+
+    if (!consumeSecondFactor(user, { code, recoveryCode })) {
+      await recordFailure("login", attempt, { io: req.app.get("io") });
+      await recordAudit(req, {
+        action: "auth.login.failed",
+        target: user,
+        targetType: "user",
+        metadata: { reason: "wrong-2fa-code" },
+      });
+      return res.status(401).json({ success: false, message: "Invalid authentication code" });
     }
 
-    // Set cookies
-    res.cookie("token", token, authCookieOpts);
-    // socketToken cookie is intentionally not httpOnly so frontend JS can access it if needed.
-    res.cookie("socketToken", socketToken, socketCookieOpts);
+    await user.save();
+
+    return completeLogin(req, res, user, {
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    });
+  } catch (err) {
+    console.error("LOGIN 2FA ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   2FA — status
+----------------------------------------------------------*/
+router.get("/2fa", authMiddleware, requireSession, async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user._id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
 
-    // Respond with user object AND socketToken (frontend can read from body or cookie)
-    const formatted = formatUser(user);
     return res.json({
       success: true,
-      user: {
-        ...formatted,
-        socketToken, // optional, convenient for client-side socket connect (but duplicate of cookie)
+      twoFactor: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+        mandatory: await isTwoFactorMandatory(user),
       },
     });
   } catch (err) {
-    console.error("LOGIN ERROR:", err);
+    console.error("2FA STATUS ERROR:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 /* ---------------------------------------------------------
-   /me
+   2FA — setup (returns secret + otpauth URI, not active yet)
 ----------------------------------------------------------*/
-router.get("/me", async (req, res) => {
+router.post("/2fa/setup", twoFactorSetupAuth, async (req, res) => {
   try {
-    const token = getToken(req);
-    if (!token) return res.status(401).json({ success: false });
+    const user = await loadTwoFactorUser(req.user._id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    if (user.twoFactor?.enabled)
+      return res.status(400).json({ success: false, message: "2FA is already enabled" });
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return res.json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+    });
+  } catch (err) {
+    console.error("2FA SETUP ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   2FA — activate with the first code (returns recovery codes once)
+----------------------------------------------------------*/
+router.post("/2fa/activate", twoFactorSetupAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await loadTwoFactorUser(req.user._id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    if (user.twoFactor?.enabled)
+      return res.status(400).json({ success: false, message: "2FA is already enabled" });
+
+    if (!user.twoFactor?.pendingSecret)
+      return res.status(400).json({ success: false, message: "Start 2FA setup first" });
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null)
+      return res.status(400).json({ success: false, message: "Invalid authentication code" });
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    // Mandatory enrollment during login → finish the login right away
+    if (req.twoFactorChallenge) {
+      return completeLogin(req, res, user, { recoveryCodes });
+    }
+
+    return res.json({ success: true, message: "2FA enabled", recoveryCodes });
+  } catch (err) {
+    console.error("2FA ACTIVATE ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   2FA — regenerate recovery codes (old ones stop working)
+----------------------------------------------------------*/
+router.post("/2fa/recovery-codes", authMiddleware, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.id).select("-password");
+    const user = await loadTwoFactorUser(req.user._id);
+    if (!user?.twoFactor?.enabled)
+      return res.status(400).json({ success: false, message: "2FA is not enabled" });
+
+    if (!consumeSecondFactor(user, { code }))
+      return res.status(400).json({ success: false, message: "Invalid authentication code" });
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    return res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error("2FA RECOVERY CODES ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   2FA — disable (password + code)
+----------------------------------------------------------*/
+router.post("/2fa/disable", authMiddleware, requireSession, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await loadTwoFactorUser(req.user._id);
+    if (!user?.twoFactor?.enabled)
+      return res.status(400).json({ success: false, message: "2FA is not enabled" });
+
+    if (await isTwoFactorMandatory(user))
+      return res.status(403).json({ success: false, message: "2FA is required for your role" });
+
+    const match = password && (await bcrypt.compare(password, user.password));
+    if (!match)
+      return res.status(401).json({ success: false, message: "Incorrect password" });
+
+    if (!consumeSecondFactor(user, { code, recoveryCode }))
+      return res.status(400).json({ success: false, message: "Invalid authentication code" });
+
+    user.twoFactor = {
+      enabled: false,
+      enabledAt: null,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+    };
+    await user.save();
+
+    return res.json({ success: true, message: "2FA disabled" });
+  } catch (err) {
+    console.error("2FA DISABLE ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   /me
+----------------------------------------------------------*/
+router.get("/me", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("-password");
 
     if (!user) return res.status(401).json({ success: false });
 
-    return res.json({ success: true, user: formatUser(user) });
+    return res.json({
+      success: true,
+      user: formatUser(user),
+      impersonatedBy: req.user.impersonatedBy,
+    });
   } catch (err) {
     console.error("ME ERROR:", err);
     return res.status(401).json({ success: false });
   }
 });
 
+/* ---------------------------------------------------------
+   MY PERMISSIONS — lets the frontend hide actions
+   { "review.delete": "any", "project.complete": "own", ... }
+----------------------------------------------------------*/
+router.get("/permissions", authMiddleware, (req, res) => {
+  return res.json({
+    success: true,
+    role: req.user.role,
+    permissions: permissionsFor(req.user),
+  });
+});
+
 /* ---------------------------------------------------------
    UPDATE PROFILE
 ----------------------------------------------------------*/
 router.put(
   "/update-profile",
   authMiddleware,
+  requireSession,
   upload.single("photo"),
   async (req, res) => {
     try {
       const userId = req.user._id;
-      let updateData = { ...req.body };
+
+      // Only profile fields — never role, 2FA or reset state
+      const PROFILE_FIELDS = ["name", "email", "technologies", "experience", "charges", "password"];
+      let updateData = Object.fromEntries(
+        Object.entries(req.body).filter(([key]) => PROFILE_FIELDS.includes(key))
+      );
 
       if (req.file) {
         updateData.photo = `/uploads/${req.file.filename}`;
       }
 
       if (updateData.password) {
+        const passwordError = validatePassword(updateData.password);
+        if (passwordError)
+          return res.status(400).json({ success: false, message: passwordError });
+
         updateData.password = await bcrypt.hash(updateData.password, 10);
+        // Outstanding reset links must not outlive a password change
+        updateData.resetPasswordToken = null;
+        updateData.resetPasswordExpires = null;
       } else {
         delete updateData.password;
       }
 
+      // ✉️ Email changes only apply after the new address is verified
+      let pendingEmail = null;
+      if (updateData.email) {
+        const newEmail = String(updateData.email).trim().toLowerCase();
+        delete updateData.email;
+
+        if (newEmail !== req.user.email.toLowerCase()) {
+          const taken = await User.findOne({ email: newEmail });
+          if (taken)
+            return res.status(400).json({ success: false, message: "Email already in use" });
+
+          updateData.pendingEmail = newEmail;
+          pendingEmail = newEmail;
+        }
+      }
+
       if (updateData.technologies) {
         try {
           updateData.technologies = JSON.parse(updateData.technologies);
@@ -216,6 +779,23 @@ router.put(
         new: true,
       }).select("-password");
 
+      if (updateData.password) {
+        await recordAudit(req, {
+          action: "auth.password.change",
+          target: updatedUser,
+          targetType: "user",
+        });
+      }
+
+      if (pendingEmail) {
+        await sendVerificationEmail(updatedUser, pendingEmail);
+        return res.json({
+          success: true,
+          message: `Verification link sent to ${pendingEmail}. Your email will change once it is confirmed.`,
+          user: formatUser(updatedUser),
+        });
+      }
+
       return res.json({ success: true, user: formatUser(updatedUser) });
     } catch (err) {
       console.error("UPDATE PROFILE ERROR:", err);
@@ -225,83 +805,324 @@ router.put(
 );
 
 /* ---------------------------------------------------------
-   FORGOT PASSWORD
+   VERIFY EMAIL (registration address or pending new address)
 ----------------------------------------------------------*/
-router.post("/forgot-password", async (req, res) => {
+router.post("/verify-email", async (req, res) => {
   try {
-    const { email } = req.body;
+    const { token } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, VERIFY_SECRET);
+    } catch {
+      return res.status(400).json({ success: false, message: "Invalid or expired link" });
+    }
+
+    if (decoded.purpose !== "verify-email")
+      return res.status(400).json({ success: false, message: "Invalid or expired link" });
 
-    const user = await User.findOne({ email });
-    if (!user)
-      return res.status(404).json({ success: false, message: "User not found" });
+    const user = await User.findById(decoded.id);
+    if (!user) return res.status(400).json({ success: false, message: "Invalid or expired link" });
 
-    const resetToken = jwt.sign({ id: user._id }, RESET_SECRET, { expiresIn: "15m" });
+    if (user.pendingEmail && user.pendingEmail === decoded.email) {
+      const taken = await User.findOne({ email: decoded.email, _id: { $ne: user._id } });
+      if (taken) {
+        user.pendingEmail = null;
+        await user.save();
+        return res.status(400).json({ success: false, message: "Email already in use" });
+      }
+
+      user.email = decoded.email;
+      user.pendingEmail = null;
+    } else if (user.email !== decoded.email) {
+      // Link was issued for an address this account no longer uses
+      return res.status(400).json({ success: false, message: "Invalid or expired link" });
+    }
 
-    const resetLink = `${CLIENT_URL}/reset-password?token=${resetToken}&email=${email}`;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    return res.json({ success: true, message: "Email verified", user: formatUser(user) });
+  } catch (err) {
+    console.error("VERIFY EMAIL ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   RESEND VERIFICATION (throttled per account)
+----------------------------------------------------------*/
+router.post("/resend-verification", authMiddleware, forbidImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    const target = user.pendingEmail || (user.emailVerified === false ? user.email : null);
+    if (!target)
+      return res.status(400).json({ success: false, message: "Email already verified" });
+
+    const elapsed = user.verificationSentAt
+      ? Date.now() - new Date(user.verificationSentAt).getTime()
+      : Infinity;
+
+    if (elapsed < VERIFICATION_RESEND_COOLDOWN_MS) {
+      const retryAfter = Math.ceil((VERIFICATION_RESEND_COOLDOWN_MS - elapsed) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter}s before requesting another link`,
+        retryAfter,
+      });
+    }
+
+    await sendVerificationEmail(user, target);
+
+    return res.json({ success: true, message: `Verification link sent to ${target}` });
+  } catch (err) {
+    console.error("RESEND VERIFICATION ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   FORGOT / RESET PASSWORD (see controller/authController.js)
+----------------------------------------------------------*/
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+
+/* ---------------------------------------------------------
+   REFRESH — rotate refresh token, issue new access tokens
+----------------------------------------------------------*/
+router.post("/refresh", async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.refreshToken;
+    if (!refreshToken) {
+      return res.status(401).json({ success: false, message: "No refresh token" });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+
+    // Another tab refreshed with the same token a moment ago → its cookies win
+    if (rotated?.superseded) {
+      return res.status(409).json({
+        success: false,
+        code: "REFRESH_SUPERSEDED",
+        message: "Session was just refreshed, please retry",
+      });
+    }
+
+    if (!rotated) {
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: "Session expired, please log in again" });
+    }
 
-    await resend.emails.send({
-      from: `CodeCommunity <${SENDER_EMAIL}>`,
-      to: email,
-      subject: "Reset Password",
-      html: `<p>Hello ${user.name}, click below to reset your password:</p>
-             <a href="${resetLink}">Reset Password</a>`,
+    const user = await User.findById(rotated.session.user).select("-password");
+    if (!user) {
+      await revokeSession(rotated.session._id);
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: "User no longer exists" });
+    }
+
+    const restriction = getRestriction(user);
+    if (restriction) {
+      await revokeSession(rotated.session._id);
+      clearAuthCookies(res);
+      return rejectRestricted(res, restriction);
+    }
+
+    setAuthCookies(res, rotated);
+
+    return res.json({
+      success: true,
+      user: {
+        ...formatUser(user),
+        socketToken: rotated.socketToken,
+      },
     });
+  } catch (err) {
+    console.error("REFRESH ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   SESSIONS — list my active sessions
+----------------------------------------------------------*/
+router.get("/sessions", authMiddleware, requireSession, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
 
-    return res.json({ success: true, message: "Reset link sent" });
+    return res.json({
+      success: true,
+      sessions: sessions.map((s) => formatSession(s, req.sessionId)),
+    });
   } catch (err) {
-    console.error("FORGOT ERROR:", err);
+    console.error("SESSIONS ERROR:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 /* ---------------------------------------------------------
-   RESET PASSWORD
+   SESSIONS — revoke one
 ----------------------------------------------------------*/
-router.post("/reset-password", async (req, res) => {
+router.delete("/sessions/:id", authMiddleware, requireSession, async (req, res) => {
   try {
-    const { token, password } = req.body;
+    const { id } = req.params;
 
-    const decoded = jwt.verify(token, RESET_SECRET);
-    const hashed = await bcrypt.hash(password, 10);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid session id" });
+    }
 
-    await User.findByIdAndUpdate(decoded.id, { password: hashed });
+    const revoked = await revokeSession(id, req.user._id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
 
-    return res.json({ success: true, message: "Password reset successful" });
+    await disconnectSessionSockets(req.app.get("io"), req.user._id, { only: id });
+
+    if (id === String(req.sessionId)) clearAuthCookies(res);
+
+    return res.json({ success: true, message: "Session revoked" });
   } catch (err) {
-    console.error("RESET ERROR:", err);
-    return res.status(400).json({ success: false, message: "Invalid or expired token" });
+    console.error("REVOKE SESSION ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 /* ---------------------------------------------------------
-   LOGOUT
+   SESSIONS — revoke all (?keepCurrent=true keeps this device)
 ----------------------------------------------------------*/
-router.post("/logout", (req, res) => {
-  const isProd = process.env.NODE_ENV === "production";
+router.delete("/sessions", authMiddleware, requireSession, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
 
-  const common = { path: "/" };
+    const count = await revokeAllSessions(req.user._id, {
+      except: keepCurrent ? req.sessionId : null,
+    });
 
-  const authCookieOpts = {
-    httpOnly: true,
-    secure: isProd,
-    sameSite: isProd ? "None" : "Lax",
-    ...common,
-  };
+    await disconnectSessionSockets(req.app.get("io"), req.user._id, {
+      except: keepCurrent ? req.sessionId : null,
+    });
 
-  const socketCookieOpts = {
-    httpOnly: false,
-    secure: isProd,
-    sameSite: isProd ? "None" : "Lax",
-    ...common,
-  };
+    if (!keepCurrent) clearAuthCookies(res);
+
+    return res.json({ success: true, message: `${count} session(s) revoked` });
+  } catch (err) {
+    console.error("REVOKE ALL SESSIONS ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   API KEYS — list mine
+----------------------------------------------------------*/
+router.get("/api-keys", authMiddleware, requireSession, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ user: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .lean();
 
-  if (COOKIE_DOMAIN && isProd) {
-    authCookieOpts.domain = COOKIE_DOMAIN;
-    socketCookieOpts.domain = COOKIE_DOMAIN;
+    return res.json({ success: true, apiKeys: keys.map(formatApiKey) });
+  } catch (err) {
+    console.error("API KEYS ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   API KEYS — create (full key is returned ONCE)
+----------------------------------------------------------*/
+router.post("/api-keys", authMiddleware, requireSession, async (req, res) => {
+  try {
+    const { name, scopes = ["read"], expiresInDays } = req.body;
+
+    if (!name || !String(name).trim())
+      return res.status(400).json({ success: false, message: "Name is required" });
+
+    if (
+      !Array.isArray(scopes) ||
+      !scopes.length ||
+      scopes.some((s) => !API_KEY_SCOPES.includes(s))
+    )
+      return res.status(400).json({
+        success: false,
+        message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(", ")}`,
+      });
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0)
+        return res.status(400).json({ success: false, message: "Invalid expiry" });
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      user: req.user._id,
+      name: String(name).trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Copy this key now — it won't be shown again",
+      key,
+      apiKey: formatApiKey(apiKey),
+    });
+  } catch (err) {
+    console.error("CREATE API KEY ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   API KEYS — revoke
+----------------------------------------------------------*/
+router.delete("/api-keys/:id", authMiddleware, requireSession, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id))
+      return res.status(400).json({ success: false, message: "Invalid API key id" });
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!apiKey)
+      return res.status(404).json({ success: false, message: "API key not found" });
+
+    return res.json({ success: true, message: "API key revoked" });
+  } catch (err) {
+    console.error("REVOKE API KEY ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ---------------------------------------------------------
+   LOGOUT — revoke the current session + clear cookies
+----------------------------------------------------------*/
+router.post("/logout", async (req, res) => {
+  try {
+    const token = getToken(req);
+    const decoded = token ? await verifySessionToken(token) : null;
+
+    if (decoded) {
+      await revokeSession(decoded.sid, decoded.id);
+    } else if (req.cookies?.refreshToken) {
+      // Access token already expired → fall back to the refresh token
+      await revokeRefreshToken(req.cookies.refreshToken);
+    }
+  } catch (err) {
+    console.error("LOGOUT ERROR:", err);
   }
 
-  res.clearCookie("token", authCookieOpts);
-  res.clearCookie("socketToken", socketCookieOpts);
+  clearAuthCookies(res);
 
   return res.json({ success: true });
 });
@@ -1,7 +1,11 @@
 import express from "express";
 import User from "../models/User.js";
 import Message from "../models/Message.js";
-import authMiddleware from "../middleware/authMiddleware.js";
+import authMiddleware, {
+  requireVerifiedEmail,
+  forbidImpersonation,
+} from "../middleware/authMiddleware.js";
+import { can } from "../utils/permissions.js";
 const router = express.Router();
 
 /**
@@ -13,17 +17,15 @@ const router = express.Router();
  * - User sees ONLY people they connected with
  * - Admin sees all users except self
  */
-router.get("/users", authMiddleware, async (req, res) => {
+router.get("/users", authMiddleware, requireVerifiedEmail, async (req, res) => {
   try {
     const currentUser = await User.findById(req.user._id)
       .select("connections role");
 
-    const userRole = (currentUser.role || "").toLowerCase();
-
     let allowedUserIds = [];
 
-    if (userRole === "admin") {
-      // Admin → see all except self
+    if (can(req.user, "chat.viewAllUsers")) {
+      // Admin / SuperAdmin → see all except self
       const all = await User.find({ _id: { $ne: currentUser._id } })
         .select("_id");
       allowedUserIds = all.map((u) => u._id);
@@ -111,7 +113,7 @@ router.get("/users", authMiddleware, async (req, res) => {
   }
 });
 
-router.get("/messages/:receiverId", authMiddleware, async (req, res) => {
+router.get("/messages/:receiverId", authMiddleware, requireVerifiedEmail, async (req, res) => {
   
   try {
     const currentUser = req.user._id.toString();
@@ -126,6 +128,7 @@ router.get("/messages/:receiverId", authMiddleware, async (req, res) => {
       .sort({ createdAt: 1 })
       .populate("sender", "name _id")
       .populate("receiver", "name _id")
+      .populate("attachments", "originalName mimeType size")
       .lean();
 
 
@@ -134,6 +137,10 @@ router.get("/messages/:receiverId", authMiddleware, async (req, res) => {
       sender: msg.sender,
       receiver: msg.receiver,
       message: msg.message,
+      attachments: (msg.attachments || []).map((a) => ({
+        ...a,
+        url: `/api/attachments/${a._id}/download`,
+      })),
       createdAt: msg.createdAt, // <<< FIX
       read: msg.read || false,
       delivered: msg.delivered || false,
@@ -150,25 +157,31 @@ router.get("/messages/:receiverId", authMiddleware, async (req, res) => {
 /**
  * ✅ Mark messages as read when chat is opened
  */
-router.put("/mark-read/:partnerId", authMiddleware, async (req, res) => {
-  try {
-    const currentUserId = req.user._id;
-    const partnerId = req.params.partnerId;
-
-    await Message.updateMany(
-      {
-        sender: partnerId,
-        receiver: currentUserId,
-        read: false,
-      },
-      { $set: { read: true } }
-    );
+router.put(
+  "/mark-read/:partnerId",
+  authMiddleware,
+  requireVerifiedEmail,
+  forbidImpersonation,
+  async (req, res) => {
+    try {
+      const currentUserId = req.user._id;
+      const partnerId = req.params.partnerId;
+
+      await Message.updateMany(
+        {
+          sender: partnerId,
+          receiver: currentUserId,
+          read: false,
+        },
+        { $set: { read: true } }
+      );
 
-    res.status(200).json({ success: true });
-  } catch (err) {
-    console.error("❌ Mark read error:", err);
-    res.status(500).json({ error: "Failed to mark messages as read" });
+      res.status(200).json({ success: true });
+    } catch (err) {
+      console.error("❌ Mark read error:", err);
+      res.status(500).json({ error: "Failed to mark messages as read" });
+    }
   }
-});
+);
 
 export default router;
@@ -1,7 +1,7 @@
 // routes/connections.js
 import express from "express";
 import User from "../models/User.js";
-import authenticate from "../middleware/authenticate.js";
+import authMiddleware from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -9,7 +9,7 @@ const router = express.Router();
    POST /api/connections/add/:to
    (One-sided connect — user A adds user B)
 ====================================================== */
-router.post("/add/:to", authenticate, async (req, res) => {
+router.post("/add/:to", authMiddleware, async (req, res) => {
   try {
     const fromId = req.user._id;
     const toId = req.params.to;
@@ -40,7 +40,7 @@ router.post("/add/:to", authenticate, async (req, res) => {
 /* ======================================================
    DELETE /api/connections/remove/:userId
 ====================================================== */
-router.delete("/remove/:userId", authenticate, async (req, res) => {
+router.delete("/remove/:userId", authMiddleware, async (req, res) => {
   try {
     const me = req.user._id;
     const other = req.params.userId;
@@ -60,7 +60,7 @@ router.delete("/remove/:userId", authenticate, async (req, res) => {
    GET /api/connections/list
    (Return all connected users)
 ====================================================== */
-router.get("/list", authenticate, async (req, res) => {
+router.get("/list", authMiddleware, async (req, res) => {
   try {
     const me = await User.findById(req.user._id)
       .populate("connections", "name email role photo")
@@ -80,7 +80,7 @@ router.get("/list", authenticate, async (req, res) => {
    GET /api/connections/check/:userId
    (Check if user A is connected to user B)
 ====================================================== */
-router.get("/check/:userId", authenticate, async (req, res) => {
+router.get("/check/:userId", authMiddleware, async (req, res) => {
   try {
     const me = await User.findById(req.user._id).select("connections");
     const other = req.params.userId;
@@ -4,6 +4,8 @@ import User from "../models/User.js";
 import Project from "../models/Project.js";
 import Review from "../models/Review.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import { can } from "../utils/permissions.js";
+import { getRestriction, visibleAccountFilter } from "../utils/accountStatus.js";
 
 const router = express.Router();
 
@@ -25,9 +27,10 @@ router.get("/", authMiddleware, async (req, res) => {
     const developers = await User.find({
       role: "developer",
       ...(loggedInId && { _id: { $ne: loggedInId } }), // SAFE EXCLUDE
+      ...visibleAccountFilter(), // no suspended / banned accounts
     }).select("-password");
 
-    if (req.user.role === "admin") {
+    if (can(req.user, "project.viewAll")) {
       const enhanced = await Promise.all(
         developers.map(async (dev) => {
           const projects = await Project.find({ developer: dev._id }).select("title status");
@@ -70,7 +73,8 @@ router.get("/:id", authMiddleware, async (req, res) => {
       .select("-password")
       .lean();
 
-    if (!user) {
+    // Suspended / banned profiles are only visible to admins
+    if (!user || (getRestriction(user) && !can(req.user, "user.list"))) {
       return res.status(404).json({ success: false, message: "User not found" });
     }
 
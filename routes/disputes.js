@@ -0,0 +1,238 @@
+import express from "express";
+import Dispute from "../models/Dispute.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import authMiddleware, { requireVerifiedEmail } from "../middleware/authMiddleware.js";
+import { can } from "../utils/permissions.js";
+import { projectSideOf } from "../utils/projectStatus.js";
+import { completeIfAllApproved } from "../utils/projects.js";
+import {
+  isDisputeOpen,
+  canViewDispute,
+  readStatement,
+  disputeAttachments,
+  notifyDisputeParties,
+} from "../utils/disputes.js";
+
+const router = express.Router();
+
+const DISPUTE_POPULATE = [
+  { path: "project", select: "title status client developer amount" },
+  { path: "openedBy", select: "name role" },
+  { path: "assignedTo", select: "name" },
+  { path: "statements.author", select: "name role" },
+  { path: "statements.attachments", select: "originalName mimeType size" },
+  { path: "resolution.resolvedBy", select: "name" },
+];
+
+// Dispute + its project; null when missing or not the caller's business
+const loadVisibleDispute = async (req) => {
+  const dispute = await Dispute.findById(req.params.id);
+  if (!dispute) return null;
+
+  const project = await Project.findById(dispute.project).select("title client developer");
+  if (!project || !canViewDispute(req.user, dispute, project)) return null;
+
+  return { dispute, project };
+};
+
+/* ======================================================
+   POST / (client or developer opens a dispute)
+   { projectId, reason, description }
+   Evidence files: POST /api/attachments/dispute/:id
+====================================================== */
+router.post("/", authMiddleware, requireVerifiedEmail, async (req, res) => {
+  try {
+    const project = await Project.findById(req.body.projectId).catch(() => null);
+    if (!project || !can(req.user, "dispute.open", project))
+      return res.status(404).json({ success: false, message: "Project not found" });
+
+    if (!["pending", "in-progress"].includes(project.status))
+      return res
+        .status(400)
+        .json({ success: false, message: "This project is no longer active" });
+
+    const reason = readStatement(req.body.reason, "Reason");
+    if (reason.error) return res.status(400).json({ success: false, message: reason.error });
+    const description = readStatement(req.body.description, "Description");
+    if (description.error)
+      return res.status(400).json({ success: false, message: description.error });
+
+    const dispute = new Dispute({
+      project: project._id,
+      openedBy: req.user._id,
+      openedBySide: projectSideOf(req.user, project),
+      reason: reason.text,
+      description: description.text,
+    });
+
+    // Atomic → one open dispute per project
+    const locked = await Project.findOneAndUpdate(
+      { _id: project._id, openDispute: null },
+      { openDispute: dispute._id }
+    );
+    if (!locked)
+      return res
+        .status(409)
+        .json({ success: false, message: "A dispute is already open for this project" });
+
+    try {
+      await dispute.save();
+    } catch (saveErr) {
+      await Project.updateOne({ _id: project._id }, { openDispute: null });
+      throw saveErr;
+    }
+
+    const io = req.app.get("io");
+    await notifyDisputeParties(
+      io,
+      dispute,
+      project,
+      `⚖️ ${req.user.name} opened a dispute on "${project.title}": ${dispute.reason}`,
+      { skip: req.user._id }
+    );
+
+    // 🛡 Admin queue
+    const admins = await User.find({ role: { $in: ["admin", "superadmin"] } }).select("_id");
+    for (const admin of admins) {
+      io?.to(String(admin._id)).emit("admin:dispute:new", {
+        id: dispute._id,
+        project: project.title,
+        reason: dispute.reason,
+      });
+    }
+
+    res.status(201).json({ success: true, dispute });
+  } catch (err) {
+    console.error("❌ Dispute open error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ======================================================
+   GET /mine (disputes on my projects)
+====================================================== */
+router.get("/mine", authMiddleware, async (req, res) => {
+  try {
+    const projectIds = await Project.find({
+      $or: [{ client: req.user._id }, { developer: req.user._id }],
+    }).distinct("_id");
+
+    const disputes = await Dispute.find({ project: { $in: projectIds } })
+      .select("-statements")
+      .populate("project", "title status")
+      .populate("assignedTo", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, disputes, total: disputes.length });
+  } catch (err) {
+    console.error("❌ My disputes error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ======================================================
+   GET /:id (parties + admins)
+====================================================== */
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const found = await loadVisibleDispute(req);
+    if (!found) return res.status(404).json({ success: false, message: "Dispute not found" });
+
+    await found.dispute.populate(DISPUTE_POPULATE);
+    res.json({ success: true, dispute: found.dispute });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(404).json({ success: false, message: "Dispute not found" });
+    console.error("❌ Dispute fetch error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ======================================================
+   POST /:id/statements (parties + admins, while open)
+   { text, attachments?: [attachmentId] } — files uploaded to this dispute
+====================================================== */
+router.post("/:id/statements", authMiddleware, requireVerifiedEmail, async (req, res) => {
+  try {
+    const found = await loadVisibleDispute(req);
+    if (!found) return res.status(404).json({ success: false, message: "Dispute not found" });
+
+    const { dispute, project } = found;
+    if (!isDisputeOpen(dispute))
+      return res.status(400).json({ success: false, message: "This dispute is closed" });
+
+    const { text, error } = readStatement(req.body.text);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const side = can(req.user, "dispute.manage") ? "admin" : projectSideOf(req.user, project);
+
+    dispute.statements.push({
+      author: req.user._id,
+      side,
+      text,
+      attachments: await disputeAttachments(req.body.attachments, dispute),
+    });
+    await dispute.save();
+
+    await notifyDisputeParties(
+      req.app.get("io"),
+      dispute,
+      project,
+      `💬 ${req.user.name} added a statement to the dispute on "${project.title}"`,
+      { skip: req.user._id }
+    );
+
+    await dispute.populate(DISPUTE_POPULATE);
+    res.status(201).json({ success: true, dispute });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(404).json({ success: false, message: "Dispute not found" });
+    console.error("❌ Dispute statement error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ======================================================
+   POST /:id/withdraw (whoever opened it, before a resolution)
+====================================================== */
+router.post("/:id/withdraw", authMiddleware, async (req, res) => {
+  try {
+    const found = await loadVisibleDispute(req);
+    if (!found) return res.status(404).json({ success: false, message: "Dispute not found" });
+
+    const { dispute, project } = found;
+    if (String(dispute.openedBy) !== String(req.user._id))
+      return res
+        .status(403)
+        .json({ success: false, message: "Only the person who opened it can withdraw it" });
+
+    if (!isDisputeOpen(dispute))
+      return res.status(400).json({ success: false, message: "This dispute is closed" });
+
+    dispute.status = "withdrawn";
+    await dispute.save();
+    await Project.updateOne({ _id: project._id, openDispute: dispute._id }, { openDispute: null });
+
+    await notifyDisputeParties(
+      req.app.get("io"),
+      dispute,
+      project,
+      `↩️ ${req.user.name} withdrew the dispute on "${project.title}"`,
+      { skip: req.user._id }
+    );
+
+    // Milestones all approved while it was on hold → complete it now
+    const released = await Project.findById(project._id);
+    if (released) await completeIfAllApproved(req.app.get("io"), released);
+
+    res.json({ success: true, dispute });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(404).json({ success: false, message: "Dispute not found" });
+    console.error("❌ Dispute withdraw error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+export default router;
@@ -1,53 +1,149 @@
 import express from "express";
 import Hire from "../models/Hire.js";
 import Project from "../models/Project.js";
-import Notification from "../models/Notification.js";
 import User from "../models/User.js";
-import authMiddleware from "../middleware/authMiddleware.js";
+import authMiddleware, { requireVerifiedEmail } from "../middleware/authMiddleware.js";
+import authorize from "../middleware/authorize.js";
+import { can } from "../utils/permissions.js";
+import { getRestriction } from "../utils/accountStatus.js";
+import {
+  OPEN_HIRE_STATUSES,
+  isHireOpen,
+  populateHireParties,
+  notifyHireParties,
+} from "../utils/hires.js";
+import { statusEntry, transitionProject } from "../utils/projectStatus.js";
 
 const router = express.Router();
 
+const MAX_EXPIRY_DAYS = 90;
+
+/* ---------------- Helpers ---------------- */
+const idOf = (ref) => String(ref?._id ?? ref);
+
+const sideOf = (user, hire) =>
+  (idOf(hire.client) === user._id && "client") ||
+  (idOf(hire.developer) === user._id && "developer") ||
+  "admin";
+
+const otherSide = (side) => (side === "client" ? "developer" : "client");
+
+// Optional expiry: { expiresAt } or { expiresInDays } → { expiresAt } | { error }
+const readExpiry = ({ expiresAt, expiresInDays }) => {
+  if (!expiresAt && !expiresInDays) return { expiresAt: null };
+
+  const date = expiresAt
+    ? new Date(expiresAt)
+    : new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000);
+
+  const max = Date.now() + MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+  if (Number.isNaN(date.getTime()) || date <= new Date() || date.getTime() > max)
+    return { error: `Expiry must be in the future and within ${MAX_EXPIRY_DAYS} days` };
+
+  return { expiresAt: date };
+};
+
+// Parse the revisable terms from a request body (undefined = unchanged)
+const readTerms = ({ amount, deadline, requirements }) => {
+  const terms = {};
+
+  if (amount !== undefined && amount !== "") {
+    terms.amount = Number(amount);
+    if (!Number.isFinite(terms.amount) || terms.amount <= 0) return { error: "Invalid amount" };
+  }
+
+  if (deadline !== undefined && deadline !== "") {
+    terms.deadline = deadline === null ? null : new Date(deadline);
+    if (terms.deadline && Number.isNaN(terms.deadline.getTime()))
+      return { error: "Invalid deadline" };
+  }
+
+  if (requirements !== undefined && String(requirements).trim())
+    terms.requirements = String(requirements).trim();
+
+  return { terms };
+};
+
 /* ============================================================
    📌 POST /api/hire
    → Client sends a hire request to a developer
 ============================================================ */
-router.post("/", authMiddleware, async (req, res) => {
-  try {
-    if (req.user.role !== "client") {
-      return res.status(403).json({
-        success: false,
-        message: "Only clients can send hire requests",
-      });
-    }
+router.post(
+  "/",
+  authMiddleware,
+  requireVerifiedEmail,
+  authorize("hire.create", { message: "Only clients can send hire requests" }),
+  async (req, res) => {
+    try {
+      const {
+        developerId,
+        developerEmail, // still accepted for older clients
+        projectTitle,
+        description,
+        requirements,
+        amount,
+        deadline,
+      } = req.body;
 
-    const { developerEmail, projectTitle, description, requirements, amount, deadline } =
-      req.body;
+      if (
+        !(developerId || developerEmail) ||
+        !projectTitle ||
+        !description ||
+        !requirements ||
+        !amount
+      ) {
+        return res.status(400).json({ success: false, message: "All fields are required" });
+      }
 
-    if (!developerEmail || !projectTitle || !description || !requirements || !amount) {
-      return res.status(400).json({ success: false, message: "All fields are required" });
-    }
+      const { expiresAt, error: expiryError } = readExpiry(req.body);
+      if (expiryError) return res.status(400).json({ success: false, message: expiryError });
 
-    const hireRequest = await Hire.create({
-      clientEmail: req.user.email,
-      developerEmail,
-      projectTitle,
-      description,
-      requirements,
-      amount,
-      deadline,
-      status: "pending",
-    });
+      const developer = developerId
+        ? await User.findById(developerId).catch(() => null)
+        : await User.findOne({ email: String(developerEmail).trim().toLowerCase() });
 
-    res.json({
-      success: true,
-      message: "Hire request sent successfully",
-      request: hireRequest,
-    });
-  } catch (err) {
-    console.error("❌ Hire POST error:", err.message);
-    res.status(500).json({ success: false, message: "Server error" });
+      if (!developer || developer.role !== "developer" || getRestriction(developer)) {
+        return res.status(400).json({ success: false, message: "Developer not found" });
+      }
+
+      const hireRequest = await Hire.create({
+        client: req.user._id,
+        developer: developer._id,
+        projectTitle,
+        description,
+        requirements,
+        amount,
+        deadline,
+        status: "pending",
+        expiresAt,
+        awaiting: "developer",
+        negotiation: [
+          {
+            kind: "offer",
+            by: "client",
+            actor: req.user._id,
+            amount,
+            deadline,
+            requirements,
+          },
+        ],
+      });
+
+      await notifyHireParties(req.app.get("io"), hireRequest, {
+        developer: `📩 New hire request "${projectTitle}" from ${req.user.name}`,
+      });
+
+      res.json({
+        success: true,
+        message: "Hire request sent successfully",
+        request: hireRequest,
+      });
+    } catch (err) {
+      console.error("❌ Hire POST error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
   }
-});
+);
 
 /* ============================================================
    📌 GET /api/hire
@@ -57,15 +153,15 @@ router.get("/", authMiddleware, async (req, res) => {
   try {
     let filter = {};
 
-    if (req.user.role === "developer") {
-      filter.developerEmail = req.user.email;
-    } else if (req.user.role === "client") {
-      filter.clientEmail = req.user.email;
-    } else if (req.user.role === "admin" || req.user.role === "superadmin") {
+    if (can(req.user, "hire.viewAll")) {
       filter = {}; // FULL ACCESS
+    } else if (req.user.role === "developer") {
+      filter.developer = req.user._id;
+    } else if (req.user.role === "client") {
+      filter.client = req.user._id;
     }
 
-    const requests = await Hire.find(filter).sort({ createdAt: -1 });
+    const requests = await populateHireParties(Hire.find(filter).sort({ createdAt: -1 }));
 
     res.json({ success: true, requests });
   } catch (err) {
@@ -74,10 +170,115 @@ router.get("/", authMiddleware, async (req, res) => {
   }
 });
 
+/* ============================================================
+   📌 POST /api/hire/:id/counter
+   → Party whose turn it is proposes revised terms
+     { amount?, deadline?, requirements?, message? }
+============================================================ */
+router.post(
+  "/:id/counter",
+  authMiddleware,
+  authorize("hire.negotiate", {
+    load: (req) => Hire.findById(req.params.id),
+    message: "It's not your turn to negotiate this request",
+  }),
+  async (req, res) => {
+    try {
+      const hire = req.resource;
+
+      if (!isHireOpen(hire))
+        return res
+          .status(400)
+          .json({ success: false, message: "This hire request is no longer open" });
+
+      const { terms, error } = readTerms(req.body);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const message = String(req.body.message || "").trim();
+      const changed = Object.keys(terms).some(
+        (key) => String(terms[key] ?? "") !== String(hire[key] ?? "")
+      );
+
+      if (!changed)
+        return res.status(400).json({
+          success: false,
+          message: "A counter-offer must change the amount, deadline or scope",
+        });
+
+      const side = sideOf(req.user, hire);
+
+      Object.assign(hire, terms);
+      hire.status = "negotiating";
+      hire.awaiting = otherSide(side);
+      hire.reminderSentAt = null; // the other party gets their own reminder
+      hire.negotiation.push({
+        kind: "counter",
+        by: side,
+        actor: req.user._id,
+        amount: hire.amount,
+        deadline: hire.deadline,
+        requirements: hire.requirements,
+        message,
+      });
+      await hire.save();
+
+      await notifyHireParties(req.app.get("io"), hire, {
+        [hire.awaiting]: `🔁 ${req.user.name} sent a counter-offer for "${hire.projectTitle}" (${hire.amount})`,
+      });
+
+      res.json({ success: true, message: "Counter-offer sent", request: hire });
+    } catch (err) {
+      console.error("❌ Hire counter error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ============================================================
+   📌 POST /api/hire/:id/withdraw
+   → Client withdraws an open request (kept for history)
+============================================================ */
+router.post(
+  "/:id/withdraw",
+  authMiddleware,
+  authorize("hire.withdraw", {
+    load: (req) => Hire.findById(req.params.id),
+    message: "Only the client who sent this request can withdraw it",
+  }),
+  async (req, res) => {
+    try {
+      const hire = req.resource;
+
+      if (!isHireOpen(hire))
+        return res
+          .status(400)
+          .json({ success: false, message: "This hire request is no longer open" });
+
+      hire.status = "withdrawn";
+      hire.awaiting = null;
+      hire.negotiation.push({
+        kind: "withdraw",
+        by: "client",
+        actor: req.user._id,
+        message: String(req.body.message || "").trim(),
+      });
+      await hire.save();
+
+      await notifyHireParties(req.app.get("io"), hire, {
+        developer: `↩️ ${req.user.name} withdrew the hire request "${hire.projectTitle}"`,
+      });
+
+      res.json({ success: true, message: "Hire request withdrawn", request: hire });
+    } catch (err) {
+      console.error("❌ Hire withdraw error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
 /* ============================================================
    📌 DELETE /api/hire/:id
-   → Client deletes their own request
-   → Admin + SuperAdmin can delete any request
+   → Admin + SuperAdmin only (clients withdraw: POST /:id/withdraw)
 ============================================================ */
 router.delete("/:id", authMiddleware, async (req, res) => {
   try {
@@ -87,12 +288,11 @@ router.delete("/:id", authMiddleware, async (req, res) => {
       return res.status(404).json({ success: false, message: "Hire request not found" });
     }
 
-    if (
-      req.user.role !== "admin" &&
-      req.user.role !== "superadmin" &&
-      request.clientEmail !== req.user.email
-    ) {
-      return res.status(403).json({ success: false, message: "Unauthorized" });
+    if (!can(req.user, "hire.delete", request)) {
+      return res.status(403).json({
+        success: false,
+        message: "Hire requests can't be deleted — withdraw it instead",
+      });
     }
 
     await request.deleteOne();
@@ -105,11 +305,12 @@ router.delete("/:id", authMiddleware, async (req, res) => {
 
 /* ============================================================
    📌 PATCH /api/hire
-   → Developer/Admin/SuperAdmin accepts or rejects a hire request
+   → The party whose turn it is (or Admin/SuperAdmin) accepts or
+     rejects the current terms; accepting locks them into the Project
 ============================================================ */
 router.patch("/", authMiddleware, async (req, res) => {
   try {
-    const { requestId, action } = req.body;
+    const { requestId, action, message = "" } = req.body;
 
     if (!requestId || !["accept", "reject"].includes(action)) {
       return res.status(400).json({ success: false, message: "Invalid data" });
@@ -120,27 +321,30 @@ router.patch("/", authMiddleware, async (req, res) => {
       return res.status(404).json({ success: false, message: "Hire request not found" });
     }
 
-    // Authorize developer, admin or superadmin
-    if (
-      req.user.role !== "admin" &&
-      req.user.role !== "superadmin" &&
-      request.developerEmail !== req.user.email
-    ) {
+    // Authorize the party whose turn it is, admin or superadmin
+    if (!can(req.user, "hire.respond", request)) {
       return res.status(403).json({ success: false, message: "Unauthorized action" });
     }
 
-    // Update hire status
-    request.status = action === "accept" ? "accepted" : "rejected";
-    await request.save();
+    if (!isHireOpen(request)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "This hire request is no longer open" });
+    }
 
-    let project = null;
+    const side = sideOf(req.user, request);
 
     /* -------------------------------------------------------
        📌 If accepted → create/update project
+       (checked before the hire changes, so a refusal leaves it open)
     ------------------------------------------------------- */
+    let project = null;
+
     if (action === "accept") {
-      const clientUser = await User.findOne({ email: request.clientEmail });
-      const developerUser = await User.findOne({ email: request.developerEmail });
+      const [clientUser, developerUser] = await Promise.all([
+        User.findById(request.client),
+        User.findById(request.developer),
+      ]);
 
       if (!clientUser || !developerUser) {
         return res.status(400).json({
@@ -151,38 +355,89 @@ router.patch("/", authMiddleware, async (req, res) => {
 
       project = await Project.findOne({ hireRequestId: request._id });
 
+      // Last agreed terms → project
       if (!project) {
         project = new Project({
           title: request.projectTitle,
           client: clientUser._id,
           developer: developerUser._id,
-          requirements: request.requirements,
-          status: "ongoing",
+          description: `${request.description}\n\n${request.requirements}`,
+          amount: request.amount,
+          status: "in-progress",
+          statusHistory: [
+            statusEntry({
+              to: "in-progress",
+              actor: req.user,
+              side,
+              reason: "Hire request accepted",
+            }),
+          ],
           deadline: request.deadline || null,
           hireRequestId: request._id,
         });
       } else {
-        project.status = "ongoing";
+        project.amount = request.amount;
+        project.deadline = request.deadline || null;
+        if (project.status === "pending") {
+          const { error, status } = transitionProject(project, "in-progress", {
+            actor: req.user,
+            reason: "Hire request accepted",
+          });
+          if (error) return res.status(status).json({ success: false, message: error });
+        }
       }
+    }
+
+    // Atomic claim → of parallel answers (or an answer racing a counter-offer)
+    // only one wins, and only the winner creates the project
+    const claimed = await Hire.findOneAndUpdate(
+      {
+        _id: request._id,
+        status: { $in: OPEN_HIRE_STATUSES },
+        awaiting: request.awaiting,
+        [`negotiation.${request.negotiation.length}`]: { $exists: false },
+      },
+      {
+        $set: { status: action === "accept" ? "accepted" : "rejected", awaiting: null },
+        $push: {
+          negotiation: {
+            kind: action,
+            by: side,
+            actor: req.user._id,
+            amount: request.amount,
+            deadline: request.deadline,
+            requirements: request.requirements,
+            message: String(message).trim(),
+          },
+        },
+      },
+      { new: true }
+    );
 
-      await project.save();
+    if (!claimed) {
+      return res
+        .status(409)
+        .json({ success: false, message: "This hire request was just updated, please reload it" });
     }
 
+    if (project) await project.save();
+
     /* -------------------------------------------------------
-       📌 Always send client notification
+       📌 Notify the other party (both when an admin decided)
     ------------------------------------------------------- */
-    await Notification.create({
-      userEmail: request.clientEmail,
-      message:
-        action === "accept"
-          ? `✅ Your hire request for "${request.projectTitle}" was accepted by ${request.developerEmail}`
-          : `❌ Your hire request for "${request.projectTitle}" was rejected by ${request.developerEmail}`,
-    });
+    const verb = action === "accept" ? "✅ accepted" : "❌ rejected";
+    const text = `${req.user.name} ${verb} the terms for "${claimed.projectTitle}"`;
+
+    await notifyHireParties(
+      req.app.get("io"),
+      claimed,
+      side === "admin" ? { client: text, developer: text } : { [otherSide(side)]: text }
+    );
 
     res.json({
       success: true,
       message: `Request ${action}ed successfully`,
-      request,
+      request: claimed,
       project,
     });
   } catch (err) {
@@ -3,6 +3,9 @@ import express from "express";
 import mongoose from "mongoose";
 import Notification from "../models/Notification.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import authorize from "../middleware/authorize.js";
+import { can } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
 
 const router = express.Router();
 
@@ -46,62 +49,68 @@ router.get("/", authMiddleware, async (req, res) => {
 /* -------------------------------------------------------------
    POST /api/notifications  (Admin sends to target user)
 -------------------------------------------------------------- */
-router.post("/", authMiddleware, async (req, res) => {
-  try {
-    const io = req.app.get("io");
-
-    const { user: targetUserId, message, type = "system", link = null } = req.body;
-
-    if (!targetUserId || !mongoose.Types.ObjectId.isValid(targetUserId)) {
-      return res.status(400).json({ success: false, message: "Valid target user ID required" });
-    }
-
-    if (!message) {
-      return res.status(400).json({ success: false, message: "Message is required" });
+router.post(
+  "/",
+  authMiddleware,
+  authorize("notification.send", { message: "Admins only" }),
+  async (req, res) => {
+    try {
+      const io = req.app.get("io");
+
+      const { user: targetUserId, message, type = "system", link = null } = req.body;
+
+      if (!targetUserId || !mongoose.Types.ObjectId.isValid(targetUserId)) {
+        return res.status(400).json({ success: false, message: "Valid target user ID required" });
+      }
+
+      if (!message) {
+        return res.status(400).json({ success: false, message: "Message is required" });
+      }
+
+      const notification = await Notification.create({
+        user: targetUserId,
+        userEmail: req.user.email,
+        message,
+        type,
+        link,
+        read: false,
+      });
+
+      // Notify target user
+      io.to(String(targetUserId)).emit("notification:new", notification);
+
+      // Notify ALL admins
+      io.emit("admin:notification:new", {
+        notification,
+        to: targetUserId,
+      });
+
+      return res.json({ success: true, notification });
+    } catch (err) {
+      console.error("❌ Notification create error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
     }
-
-    const notification = await Notification.create({
-      user: targetUserId,
-      userEmail: req.user.email,
-      message,
-      type,
-      link,
-      read: false,
-    });
-
-// Notify target user
-io.to(String(targetUserId)).emit("notification:new", notification);
-
-// Notify ALL admins
-io.emit("admin:notification:new", {
-  notification,
-  to: targetUserId
-});
-
-    return res.json({ success: true, notification });
-  } catch (err) {
-    console.error("❌ Notification create error:", err);
-    res.status(500).json({ success: false, message: "Server error" });
   }
-});
+);
 
 /* -------------------------------------------------------------
    GET /api/notifications/all   (Admin only)
 -------------------------------------------------------------- */
-router.get("/all", authMiddleware, async (req, res) => {
-  try {
-    if (!["admin", "superadmin"].includes(req.user.role)) {
-      return res.status(403).json({ success: false, message: "Admins only" });
+router.get(
+  "/all",
+  authMiddleware,
+  authorize("notification.viewAll", { message: "Admins only" }),
+  async (req, res) => {
+    try {
+      const notifications = await Notification.find().sort({ createdAt: -1 }).lean();
+
+      return res.json({ success: true, notifications });
+    } catch (err) {
+      console.error("❌ Notifications /all error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
     }
-
-    const notifications = await Notification.find().sort({ createdAt: -1 }).lean();
-
-    return res.json({ success: true, notifications });
-  } catch (err) {
-    console.error("❌ Notifications /all error:", err);
-    res.status(500).json({ success: false, message: "Server error" });
   }
-});
+);
 
 /* -------------------------------------------------------------
    PATCH /api/notifications/:id/read
@@ -111,7 +120,7 @@ router.patch("/:id/read", authMiddleware, async (req, res) => {
     const notif = await Notification.findById(req.params.id);
     if (!notif) return res.status(404).json({ success: false, message: "Not found" });
 
-    if (String(notif.user) !== req.user.id) {
+    if (!can(req.user, "notification.read", notif)) {
       return res.status(403).json({ success: false, message: "Unauthorized" });
     }
 
@@ -136,15 +145,20 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     const notif = await Notification.findById(req.params.id);
     if (!notif) return res.status(404).json({ success: false, message: "Not found" });
 
-    const isOwner = String(notif.user) === req.user.id;
-    const isAdmin = ["admin", "superadmin"].includes(req.user.role);
-
-    if (!isOwner && !isAdmin) {
+    if (!can(req.user, "notification.delete", notif)) {
       return res.status(403).json({ success: false, message: "Unauthorized" });
     }
 
     await notif.deleteOne();
 
+    await recordAudit(req, {
+      action: "notification.delete",
+      target: notif,
+      targetType: "notification",
+      targetLabel: notif.userEmail,
+      before: { userEmail: notif.userEmail, message: notif.message, type: notif.type },
+    });
+
     const io = req.app.get("io");
     io.to(String(notif.user)).emit("notification:deleted", { id: notif._id });
 
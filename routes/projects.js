@@ -1,8 +1,28 @@
 import express from "express";
 import mongoose from "mongoose";
 import Project from "../models/Project.js";
-import Notification from "../models/Notification.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import authorize from "../middleware/authorize.js";
+import { can } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import { removeAttachments } from "../utils/attachments.js";
+import {
+  readMilestone,
+  milestoneProgress,
+  notifyProjectParties,
+  EDITABLE_MILESTONE_STATUSES,
+  pendingCompletion,
+  pendingCancellation,
+  closeOpenRequests,
+  acceptCompletion,
+  completeIfAllApproved,
+} from "../utils/projects.js";
+import { getSetting, SETTINGS } from "../utils/settings.js";
+import {
+  transitionProject,
+  allowedTransitions,
+  projectSideOf,
+} from "../utils/projectStatus.js";
 
 const router = express.Router();
 
@@ -29,6 +49,24 @@ const normalizeRequirement = (r) => {
   };
 };
 
+const loadProject = (req) => Project.findById(req.params.id);
+
+// Milestones can only change while the work is ongoing
+const ACTIVE_PROJECT_STATUSES = ["pending", "in-progress"];
+
+const rejectInactive = (res) =>
+  res.status(400).json({ success: false, message: "This project is no longer active" });
+
+const milestoneEvent = (project, milestone) => ({
+  event: "project:milestone",
+  payload: {
+    projectId: project._id,
+    projectStatus: project.status,
+    milestone,
+    progress: milestoneProgress(project),
+  },
+});
+
 /* ---------------- GET /api/projects ---------------- */
 router.get("/", authMiddleware, async (req, res) => {
   try {
@@ -50,9 +88,11 @@ router.get("/", authMiddleware, async (req, res) => {
       title: p.title,
       status: p.status,
       deadline: p.deadline,
+      amount: p.amount ?? null,
       client: normalizeUser(p.client),
       developer: normalizeUser(p.developer),
       requirements: (p.requirements || []).map(normalizeRequirement),
+      progress: milestoneProgress(p),
     }));
 
     return res.json({ success: true, projects });
@@ -65,13 +105,11 @@ router.get("/", authMiddleware, async (req, res) => {
 /* ---------------- GET /api/projects/:id ---------------- */
 router.get("/:id", authMiddleware, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
     const p = await Project.findById(req.params.id)
       .populate("client", "name email role")
       .populate("developer", "name email role")
       .populate("requirements")
+      .populate("statusHistory.by", "name role")
       .lean();
 
     if (!p) return res.status(404).json({ success: false, message: "Project not found" });
@@ -81,20 +119,25 @@ router.get("/:id", authMiddleware, async (req, res) => {
       title: p.title,
       status: p.status,
       deadline: p.deadline,
+      amount: p.amount ?? null,
+      description: p.description || "",
       client: normalizeUser(p.client),
       developer: normalizeUser(p.developer),
       requirements: (p.requirements || []).map(normalizeRequirement),
+      milestones: p.milestones || [],
+      progress: milestoneProgress(p),
+      statusHistory: p.statusHistory || [],
+      completionRequests: p.completionRequests || [],
+      cancellationRequests: p.cancellationRequests || [],
+      openDispute: p.openDispute || null,
     };
 
-    if (
-      userRole !== "admin" &&
-      userRole !== "superadmin" &&
-      project.client?._id !== userId &&
-      project.developer?._id !== userId
-    ) {
+    if (!can(req.user, "project.view", project)) {
       return res.status(403).json({ success: false, message: "Unauthorized access" });
     }
 
+    project.allowedTransitions = allowedTransitions(project, req.user);
+
     return res.json({ success: true, project });
   } catch (err) {
     console.error("❌ GET /projects/:id error:", err);
@@ -102,99 +145,736 @@ router.get("/:id", authMiddleware, async (req, res) => {
   }
 });
 
-/* ---------------- PUT /api/projects/:id/complete ---------------- */
-router.put("/:id/complete", authMiddleware, async (req, res) => {
+/* ---------------- completion handshake ----------------
+   developer requests (with a delivery note) → client accepts or
+   rejects with feedback; no answer within the review window → the
+   completionAutoAccept job accepts it
+--------------------------------------------------------- */
+const requestCompletion = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const project = req.resource;
+
+    if (project.status !== "in-progress")
+      return res
+        .status(400)
+        .json({ success: false, message: "Only projects in progress can be completed" });
+
+    // 🎯 Milestone projects complete when the client approves the last milestone
+    if (project.milestones?.length)
+      return res.status(400).json({
+        success: false,
+        message: "This project completes once the client approves all milestones",
+      });
+
+    if (pendingCompletion(project))
+      return res
+        .status(400)
+        .json({ success: false, message: "Completion was already requested" });
+
+    if (project.openDispute)
+      return res
+        .status(409)
+        .json({ success: false, message: "Completion is on hold while a dispute is open" });
+
+    const note = String(req.body?.note || "").trim();
+    if (!note)
+      return res
+        .status(400)
+        .json({ success: false, message: "Describe what was delivered in the note" });
+
+    const days = Number(await getSetting(SETTINGS.COMPLETION_REVIEW_DAYS)) || 7;
+    const respondBy = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    project.completionRequests.push({ note, requestedBy: req.user._id, respondBy });
+    await project.save();
+
+    const request = pendingCompletion(project);
+    await notifyProjectParties(
+      req.app.get("io"),
+      project,
+      {
+        client: `📦 ${req.user.name} finished "${project.title}" and asked you to accept it by ${respondBy.toUTCString()}`,
+        developer: `📦 Completion requested for "${project.title}" — waiting for the client`,
+      },
+      { event: "project:completion", payload: { projectId: project._id, request } }
+    );
+
+    return res.status(201).json({ success: true, request });
+  } catch (err) {
+    console.error("❌ COMPLETION REQUEST ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
 
-    const p = await Project.findById(req.params.id)
-      .populate("client", "name email")
-      .populate("developer", "name email");
+const acceptCompletionRequest = async (req, res) => {
+  try {
+    const { error, status } = await acceptCompletion(req.app.get("io"), req.resource, {
+      actor: req.user,
+      feedback: req.body?.feedback,
+    });
+    if (error) return res.status(status).json({ success: false, message: error });
 
-    if (!p) return res.status(404).json({ success: false, message: "Not found" });
+    return res.json({
+      success: true,
+      message: "Project completed",
+      status: req.resource.status,
+      reviewPrompt: true,
+    });
+  } catch (err) {
+    console.error("❌ ACCEPT COMPLETION ERROR:", err);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+};
 
-    // Only assigned developer may complete
-    if (!p.developer || String(p.developer._id) !== String(userId)) {
-      return res.status(403).json({ success: false, message: "Access denied" });
+/* ---------------- POST /api/projects/:id/completion-request ----------------
+   Developer → { note }
+--------------------------------------------------------------------------- */
+router.post(
+  "/:id/completion-request",
+  authMiddleware,
+  authorize("project.requestCompletion", {
+    load: loadProject,
+    message: "Only the developer can request completion",
+  }),
+  requestCompletion
+);
+
+/* ---------------- POST /api/projects/:id/completion-request/accept ---------------- */
+router.post(
+  "/:id/completion-request/accept",
+  authMiddleware,
+  authorize("project.complete", {
+    load: loadProject,
+    message: "Only the client can accept the project as complete",
+  }),
+  acceptCompletionRequest
+);
+
+/* ---------------- POST /api/projects/:id/completion-request/reject ----------------
+   Client → { feedback } — the project stays in progress
+----------------------------------------------------------------------------------- */
+router.post(
+  "/:id/completion-request/reject",
+  authMiddleware,
+  authorize("project.complete", {
+    load: loadProject,
+    message: "Only the client can reject a completion request",
+  }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+      const request = pendingCompletion(project);
+      if (!request)
+        return res
+          .status(400)
+          .json({ success: false, message: "There is no pending completion request" });
+
+      const feedback = String(req.body?.feedback || "").trim();
+      if (!feedback)
+        return res
+          .status(400)
+          .json({ success: false, message: "Tell the developer what is still missing" });
+
+      request.status = "rejected";
+      request.feedback = feedback;
+      request.respondedAt = new Date();
+      await project.save();
+
+      await notifyProjectParties(
+        req.app.get("io"),
+        project,
+        {
+          client: `↩️ You sent "${project.title}" back to the developer`,
+          developer: `↩️ The client didn't accept "${project.title}" yet: ${feedback}`,
+        },
+        { event: "project:completion", payload: { projectId: project._id, request } }
+      );
+
+      return res.json({ success: true, request });
+    } catch (err) {
+      console.error("❌ REJECT COMPLETION ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
     }
+  }
+);
+
+/* ---------------- PUT /api/projects/:id/complete (kept for older clients) ----------------
+   developer → requests completion · client / admin → accepts the pending request
+------------------------------------------------------------------------------------------ */
+router.put(
+  "/:id/complete",
+  authMiddleware,
+  authorize("project.view", { load: loadProject, message: "Access denied" }),
+  (req, res) => {
+    if (can(req.user, "project.requestCompletion", req.resource))
+      return requestCompletion(req, res);
+    if (can(req.user, "project.complete", req.resource)) return acceptCompletionRequest(req, res);
+    return res.status(403).json({ success: false, message: "Access denied" });
+  }
+);
+
+/* ---------------- cancellation ----------------
+   One participant asks with a reason, the other accepts or declines.
+   Disagreements go to a dispute (routes/disputes.js).
+------------------------------------------------ */
+const otherSide = (side) => (side === "client" ? "developer" : "client");
+
+/* ---------------- POST /api/projects/:id/cancellation-request ----------------
+   Client or developer → { reason }
+----------------------------------------------------------------------------- */
+router.post(
+  "/:id/cancellation-request",
+  authMiddleware,
+  authorize("project.requestCancellation", {
+    load: loadProject,
+    message: "Only the project's participants can ask to cancel it",
+  }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+      if (!ACTIVE_PROJECT_STATUSES.includes(project.status)) return rejectInactive(res);
+
+      if (project.openDispute)
+        return res.status(409).json({
+          success: false,
+          message: "A dispute is open — the admin handling it will decide",
+        });
+
+      if (pendingCancellation(project))
+        return res
+          .status(400)
+          .json({ success: false, message: "Cancellation was already requested" });
+
+      const reason = String(req.body?.reason || "").trim();
+      if (!reason)
+        return res.status(400).json({ success: false, message: "Please give a reason" });
+
+      const side = projectSideOf(req.user, project);
+      project.cancellationRequests.push({ requestedBy: req.user._id, side, reason });
+      await project.save();
+
+      const request = pendingCancellation(project);
+      await notifyProjectParties(
+        req.app.get("io"),
+        project,
+        {
+          [otherSide(side)]: `🛑 ${req.user.name} asked to cancel "${project.title}": ${reason}`,
+          [side]: `🛑 Cancellation of "${project.title}" requested — waiting for the other side`,
+        },
+        { event: "project:cancellation", payload: { projectId: project._id, request } }
+      );
+
+      return res.status(201).json({ success: true, request });
+    } catch (err) {
+      console.error("❌ CANCELLATION REQUEST ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ---------------- POST /api/projects/:id/cancellation-request/:decision ----------------
+   accept | decline → the other participant { response? }
+   withdraw         → whoever asked
+---------------------------------------------------------------------------------------- */
+router.post(
+  "/:id/cancellation-request/:decision",
+  authMiddleware,
+  authorize("project.requestCancellation", { load: loadProject, message: "Access denied" }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+      const { decision } = req.params;
+
+      if (!["accept", "decline", "withdraw"].includes(decision))
+        return res.status(404).json({ success: false, message: "Unknown action" });
+
+      const request = pendingCancellation(project);
+      if (!request)
+        return res
+          .status(400)
+          .json({ success: false, message: "There is no pending cancellation request" });
+
+      const side = projectSideOf(req.user, project);
+      const isRequester = request.side === side;
+
+      if (decision === "withdraw" ? !isRequester : isRequester)
+        return res.status(403).json({
+          success: false,
+          message:
+            decision === "withdraw"
+              ? "Only the person who asked can withdraw the request"
+              : "The other participant has to answer this request",
+        });
+
+      // A dispute opened after the request → the admin decides instead
+      if (decision === "accept" && project.openDispute)
+        return res.status(409).json({
+          success: false,
+          message: "A dispute is open — the admin handling it will decide",
+        });
+
+      const response = String(req.body?.response || "").trim();
+      request.status = { accept: "accepted", decline: "declined", withdraw: "withdrawn" }[decision];
+      request.response = response;
+      request.respondedAt = new Date();
+
+      // Both sides agree → the system cancels on their behalf
+      if (decision === "accept") {
+        const { error, status } = transitionProject(project, "cancelled", {
+          actor: req.user,
+          onBehalf: true,
+          reason: `Cancelled by agreement: ${request.reason}`,
+        });
+        if (error) return res.status(status).json({ success: false, message: error });
+        closeOpenRequests(project, "Project cancelled");
+      }
 
-    // Update project
-    p.status = "completed";
-    await p.save();
-
-    /* ---------------- CREATE NOTIFICATIONS ---------------- */
-
-    // CLIENT notification
-    const clientNotif = await Notification.create({
-      user: p.client._id, 
-      userEmail: p.client.email,
-      message: `Your project "${p.title}" has been completed by ${p.developer.name}.`,
-      type: "project",
-      link: `/my-projects/${p._id}`,
-      read: false,
-    });
+      await project.save();
+
+      const messages = {
+        accept: `🛑 "${project.title}" was cancelled — both sides agreed`,
+        decline: `↩️ ${req.user.name} declined to cancel "${project.title}" ${response}`.trim(),
+        withdraw: `↩️ ${req.user.name} withdrew the cancellation request for "${project.title}"`,
+      };
+      await notifyProjectParties(
+        req.app.get("io"),
+        project,
+        decision === "accept"
+          ? { client: messages.accept, developer: messages.accept }
+          : { [otherSide(side)]: messages[decision] },
+        { event: "project:cancellation", payload: { projectId: project._id, request } }
+      );
+
+      return res.json({ success: true, request, status: project.status });
+    } catch (err) {
+      console.error("❌ CANCELLATION DECISION ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
 
-    // DEVELOPER notification (acknowledgement)
-    const devNotif = await Notification.create({
-      user: p.developer._id,
-      userEmail: p.developer.email,
-      message: `You have marked project "${p.title}" as completed.`,
-      type: "project",
-      link: `/my-projects/${p._id}`,
-      read: false,
+/* ---------------- PUT /api/projects/:id/status ----------------
+   Any allowed transition { status, reason? }
+   e.g. client cancels a pending project, admin reopens one
+--------------------------------------------------------------- */
+router.put("/:id/status", authMiddleware, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project || !can(req.user, "project.view", project))
+      return res.status(404).json({ success: false, message: "Project not found" });
+
+    // Admins settle disputed projects through POST /api/admin/disputes/:id/resolve
+    if (project.openDispute)
+      return res.status(409).json({
+        success: false,
+        message: can(req.user, "dispute.manage")
+          ? "Resolve the open dispute to change this project's status"
+          : "A dispute is open — the admin handling it will decide",
+      });
+
+    const from = project.status;
+    const { error, status } = transitionProject(project, req.body.status, {
+      actor: req.user,
+      reason: req.body.reason,
     });
+    if (error) return res.status(status).json({ success: false, message: error });
 
-    /* ---------------- SOCKET EMITS (FIXED) ---------------- */
-    const io = req.app.get("io");
+    if (["completed", "cancelled"].includes(project.status))
+      closeOpenRequests(project, `Project ${project.status}`);
 
-    if (io) {
-      try {
-        // 🔹 Send ONLY to client
-        io.to(String(p.client._id)).emit("notification:new", clientNotif);
-        io.to(p.client.email).emit("notification:new", clientNotif);
+    await project.save();
 
-        // 🔹 Send ONLY to developer
-        io.to(String(p.developer._id)).emit("notification:new", devNotif);
-        io.to(p.developer.email).emit("notification:new", devNotif);
+    const text = `📊 "${project.title}" moved from ${from} to ${project.status} by ${req.user.name}`;
+    await notifyProjectParties(req.app.get("io"), project, { client: text, developer: text });
 
-        // 🔹 Admin broadcast
-        io.emit("admin:notification", clientNotif);
-      } catch (err) {
-        console.error("❌ Socket emit error:", err);
-      }
-    }
+    await recordAudit(req, {
+      action: "project.status",
+      target: project,
+      targetType: "project",
+      before: { status: from },
+      after: { status: project.status },
+      metadata: { reason: project.statusHistory[project.statusHistory.length - 1].reason },
+    });
 
-    return res.json({ success: true, message: "Project completed" });
+    return res.json({
+      success: true,
+      status: project.status,
+      statusHistory: project.statusHistory,
+      allowedTransitions: allowedTransitions(project, req.user),
+    });
   } catch (err) {
-    console.error("❌ COMPLETE PROJECT ERROR:", err);
+    if (err.name === "CastError")
+      return res.status(404).json({ success: false, message: "Project not found" });
+    console.error("❌ PROJECT STATUS ERROR:", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-/* ---------------- DELETE /api/projects/:id ---------------- */
-router.delete("/:id", authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    const p = await Project.findById(req.params.id);
-
-    if (!p) return res.status(404).json({ success: false, message: "Not found" });
-
-    if (
-      userRole !== "admin" &&
-      userRole !== "superadmin" &&
-      String(p.client) !== userId
-    ) {
-      return res.status(403).json({ success: false, message: "Unauthorized" });
+/* ---------------- POST /api/projects/:id/milestones ----------------
+   Client plans a milestone { title, amount, dueDate?, description? }
+------------------------------------------------------------------- */
+router.post(
+  "/:id/milestones",
+  authMiddleware,
+  authorize("milestone.manage", {
+    load: loadProject,
+    message: "Only the client can plan milestones",
+  }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+      if (!ACTIVE_PROJECT_STATUSES.includes(project.status)) return rejectInactive(res);
+
+      const { fields, error } = readMilestone(req.body);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      project.milestones.push(fields);
+
+      // The project now completes through its milestones
+      const completion = pendingCompletion(project);
+      if (completion) {
+        completion.status = "rejected";
+        completion.feedback = "Milestones were added — the project completes once they're approved";
+        completion.respondedAt = new Date();
+      }
+      await project.save();
+
+      const milestone = project.milestones[project.milestones.length - 1];
+      await notifyProjectParties(
+        req.app.get("io"),
+        project,
+        {
+          developer: completion
+            ? `🎯 New milestone "${milestone.title}" added to "${project.title}" — your completion request was closed`
+            : `🎯 New milestone "${milestone.title}" added to "${project.title}"`,
+        },
+        milestoneEvent(project, milestone)
+      );
+
+      return res
+        .status(201)
+        .json({ success: true, milestone, progress: milestoneProgress(project) });
+    } catch (err) {
+      console.error("❌ ADD MILESTONE ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
     }
-
-    await p.deleteOne();
-    return res.json({ success: true, message: "Project deleted" });
-  } catch (err) {
-    console.error("❌ DELETE PROJECT ERROR:", err);
-    return res.status(500).json({ success: false, message: "Server error" });
   }
-});
+);
+
+/* ---------------- PUT /api/projects/:id/milestones/:milestoneId ----------------
+   Client edits a milestone that isn't under review or approved
+-------------------------------------------------------------------------------- */
+router.put(
+  "/:id/milestones/:milestoneId",
+  authMiddleware,
+  authorize("milestone.manage", {
+    load: loadProject,
+    message: "Only the client can edit milestones",
+  }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+      if (!ACTIVE_PROJECT_STATUSES.includes(project.status)) return rejectInactive(res);
+
+      const milestone = project.milestones.id(req.params.milestoneId);
+      if (!milestone)
+        return res.status(404).json({ success: false, message: "Milestone not found" });
+
+      if (!EDITABLE_MILESTONE_STATUSES.includes(milestone.status))
+        return res.status(400).json({
+          success: false,
+          message: "Submitted or approved milestones can't be edited",
+        });
+
+      const { fields, error } = readMilestone(req.body, { partial: true });
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      milestone.set(fields);
+      await project.save();
+
+      await notifyProjectParties(
+        req.app.get("io"),
+        project,
+        { developer: `✏️ Milestone "${milestone.title}" of "${project.title}" was updated` },
+        milestoneEvent(project, milestone)
+      );
+
+      return res.json({ success: true, milestone, progress: milestoneProgress(project) });
+    } catch (err) {
+      console.error("❌ EDIT MILESTONE ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ---------------- DELETE /api/projects/:id/milestones/:milestoneId ---------------- */
+router.delete(
+  "/:id/milestones/:milestoneId",
+  authMiddleware,
+  authorize("milestone.manage", {
+    load: loadProject,
+    message: "Only the client can remove milestones",
+  }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+      if (!ACTIVE_PROJECT_STATUSES.includes(project.status)) return rejectInactive(res);
+
+      const milestone = project.milestones.id(req.params.milestoneId);
+      if (!milestone)
+        return res.status(404).json({ success: false, message: "Milestone not found" });
+
+      if (!EDITABLE_MILESTONE_STATUSES.includes(milestone.status))
+        return res.status(400).json({
+          success: false,
+          message: "Submitted or approved milestones can't be removed",
+        });
+
+      milestone.deleteOne();
+      await project.save();
+
+      const io = req.app.get("io");
+      await notifyProjectParties(
+        io,
+        project,
+        { developer: `🗑 Milestone "${milestone.title}" was removed from "${project.title}"` },
+        milestoneEvent(project, { _id: milestone._id, status: "removed" })
+      );
+      await completeIfAllApproved(io, project, req.user);
+
+      return res.json({
+        success: true,
+        message: "Milestone removed",
+        progress: milestoneProgress(project),
+      });
+    } catch (err) {
+      console.error("❌ REMOVE MILESTONE ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ---------------- POST /api/projects/:id/milestones/:milestoneId/submit ----------------
+   Developer hands in a milestone for review { note? }
+---------------------------------------------------------------------------------------- */
+router.post(
+  "/:id/milestones/:milestoneId/submit",
+  authMiddleware,
+  authorize("milestone.submit", {
+    load: loadProject,
+    message: "Only the developer can submit",
+  }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+      if (!ACTIVE_PROJECT_STATUSES.includes(project.status)) return rejectInactive(res);
+
+      const milestone = project.milestones.id(req.params.milestoneId);
+      if (!milestone)
+        return res.status(404).json({ success: false, message: "Milestone not found" });
+
+      if (!EDITABLE_MILESTONE_STATUSES.includes(milestone.status))
+        return res.status(400).json({
+          success: false,
+          message: `This milestone is already ${milestone.status}`,
+        });
+
+      milestone.status = "submitted";
+      milestone.submissionNote = String(req.body.note || "").trim();
+      milestone.submittedAt = new Date();
+      milestone.submissions += 1;
+      if (project.status === "pending") {
+        transitionProject(project, "in-progress", {
+          actor: req.user,
+          reason: "First milestone submitted",
+        });
+      }
+      await project.save();
+
+      await notifyProjectParties(
+        req.app.get("io"),
+        project,
+        {
+          client: `📤 ${req.user.name} submitted "${milestone.title}" of "${project.title}" for review`,
+          developer: `📤 Milestone "${milestone.title}" submitted — waiting for the client's review`,
+        },
+        milestoneEvent(project, milestone)
+      );
+
+      return res.json({ success: true, milestone, progress: milestoneProgress(project) });
+    } catch (err) {
+      console.error("❌ SUBMIT MILESTONE ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ---------------- POST /api/projects/:id/milestones/:milestoneId/approve ---------------- */
+router.post(
+  "/:id/milestones/:milestoneId/approve",
+  authMiddleware,
+  authorize("milestone.review", {
+    load: loadProject,
+    message: "Only the client can approve",
+  }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+      if (!ACTIVE_PROJECT_STATUSES.includes(project.status)) return rejectInactive(res);
+
+      const milestone = project.milestones.id(req.params.milestoneId);
+      if (!milestone)
+        return res.status(404).json({ success: false, message: "Milestone not found" });
+
+      if (milestone.status !== "submitted")
+        return res
+          .status(400)
+          .json({ success: false, message: "Only submitted milestones can be approved" });
+
+      milestone.status = "approved";
+      milestone.feedback = String(req.body.feedback || "").trim();
+      milestone.reviewedAt = new Date();
+      milestone.approvedAt = milestone.reviewedAt;
+      await project.save();
+
+      const io = req.app.get("io");
+      await notifyProjectParties(
+        io,
+        project,
+        {
+          client: `✅ You approved milestone "${milestone.title}" of "${project.title}"`,
+          developer: `✅ Milestone "${milestone.title}" of "${project.title}" was approved`,
+        },
+        milestoneEvent(project, milestone)
+      );
+      const completed = await completeIfAllApproved(io, project, req.user);
+
+      return res.json({
+        success: true,
+        milestone,
+        progress: milestoneProgress(project),
+        projectStatus: project.status,
+        completed,
+      });
+    } catch (err) {
+      console.error("❌ APPROVE MILESTONE ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ---------- POST /api/projects/:id/milestones/:milestoneId/request-changes ----------
+   Client sends a submission back { feedback }
+------------------------------------------------------------------------------------ */
+router.post(
+  "/:id/milestones/:milestoneId/request-changes",
+  authMiddleware,
+  authorize("milestone.review", {
+    load: loadProject,
+    message: "Only the client can request changes",
+  }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+      if (!ACTIVE_PROJECT_STATUSES.includes(project.status)) return rejectInactive(res);
+
+      const milestone = project.milestones.id(req.params.milestoneId);
+      if (!milestone)
+        return res.status(404).json({ success: false, message: "Milestone not found" });
+
+      if (milestone.status !== "submitted")
+        return res.status(400).json({
+          success: false,
+          message: "Changes can only be requested on submitted milestones",
+        });
+
+      const feedback = String(req.body.feedback || "").trim();
+      if (!feedback)
+        return res
+          .status(400)
+          .json({ success: false, message: "Tell the developer what needs to change" });
+
+      milestone.status = "changes-requested";
+      milestone.feedback = feedback;
+      milestone.reviewedAt = new Date();
+      await project.save();
+
+      await notifyProjectParties(
+        req.app.get("io"),
+        project,
+        {
+          client: `↩️ You requested changes on milestone "${milestone.title}"`,
+          developer: `↩️ Changes requested on "${milestone.title}" of "${project.title}": ${feedback}`,
+        },
+        milestoneEvent(project, milestone)
+      );
+
+      return res.json({ success: true, milestone, progress: milestoneProgress(project) });
+    } catch (err) {
+      console.error("❌ REQUEST CHANGES ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ---------------- DELETE /api/projects/:id ----------------
+   Participants: pending projects only — started ones go through a
+   cancellation request or a dispute. Never while a dispute is open.
+---------------------------------------------------------- */
+router.delete(
+  "/:id",
+  authMiddleware,
+  authorize("project.delete", {
+    load: (req) => Project.findById(req.params.id),
+    message: "Unauthorized",
+  }),
+  async (req, res) => {
+    try {
+      const project = req.resource;
+
+      if (project.openDispute)
+        return res
+          .status(409)
+          .json({ success: false, message: "Resolve the open dispute before deleting" });
+
+      const isAdmin = projectSideOf(req.user, project) === "admin";
+      if (!isAdmin && project.status !== "pending")
+        return res.status(400).json({
+          success: false,
+          message: "Only pending projects can be deleted — ask to cancel it instead",
+        });
+
+      // Atomic → a dispute opened meanwhile keeps the project
+      const { deletedCount } = await Project.deleteOne({
+        _id: project._id,
+        openDispute: null,
+        ...(isAdmin ? {} : { status: "pending" }),
+      });
+      if (!deletedCount)
+        return res
+          .status(409)
+          .json({ success: false, message: "The project changed — please reload it" });
+
+      await removeAttachments({ resourceType: "project", resource: project._id });
+
+      await recordAudit(req, {
+        action: "project.delete",
+        target: project,
+        targetType: "project",
+        before: {
+          title: project.title,
+          status: project.status,
+          client: project.client,
+          developer: project.developer,
+        },
+      });
+
+      return res.json({ success: true, message: "Project deleted" });
+    } catch (err) {
+      console.error("❌ DELETE PROJECT ERROR:", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
 
 export default router;
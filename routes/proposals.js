@@ -0,0 +1,105 @@
+import express from "express";
+import Proposal from "../models/Proposal.js";
+import authMiddleware from "../middleware/authMiddleware.js";
+import authorize from "../middleware/authorize.js";
+import { readProposal, OPEN_PROPOSAL_STATUSES } from "../utils/proposals.js";
+
+const router = express.Router();
+
+const loadProposal = (req) => Proposal.findById(req.params.id).populate("requirement");
+
+/* ======================================================
+   GET /mine (developer — every proposal + its status)
+   ?status=submitted|shortlisted|awarded|declined|withdrawn
+====================================================== */
+router.get("/mine", authMiddleware, async (req, res) => {
+  try {
+    const filter = { developer: req.user._id };
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const proposals = await Proposal.find(filter)
+      .populate({
+        path: "requirement",
+        select: "title status charges deadline client",
+        populate: { path: "client", select: "name email" },
+      })
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, proposals, total: proposals.length });
+  } catch (err) {
+    console.error("❌ My proposals error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ======================================================
+   PUT /:id (developer edits their bid while it's open)
+====================================================== */
+router.put(
+  "/:id",
+  authMiddleware,
+  authorize("proposal.update", { load: loadProposal }),
+  async (req, res) => {
+    try {
+      const proposal = req.resource;
+
+      if (
+        !OPEN_PROPOSAL_STATUSES.includes(proposal.status) ||
+        proposal.requirement?.status !== "pending"
+      )
+        return res
+          .status(400)
+          .json({ success: false, message: "This proposal can no longer be edited" });
+
+      const { fields, error } = readProposal(req.body, { partial: true });
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      Object.assign(proposal, fields);
+      await proposal.save();
+
+      req.app
+        .get("io")
+        ?.to(String(proposal.requirement.client))
+        .emit("proposal:updated", proposal);
+
+      res.json({ success: true, proposal });
+    } catch (err) {
+      console.error("❌ Proposal update error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ======================================================
+   DELETE /:id (developer withdraws their bid)
+====================================================== */
+router.delete(
+  "/:id",
+  authMiddleware,
+  authorize("proposal.update", { load: loadProposal }),
+  async (req, res) => {
+    try {
+      const proposal = req.resource;
+
+      if (!OPEN_PROPOSAL_STATUSES.includes(proposal.status))
+        return res
+          .status(400)
+          .json({ success: false, message: `Proposal is already ${proposal.status}` });
+
+      proposal.status = "withdrawn";
+      await proposal.save();
+
+      req.app
+        .get("io")
+        ?.to(String(proposal.requirement?.client))
+        .emit("proposal:updated", proposal);
+
+      res.json({ success: true, message: "Proposal withdrawn" });
+    } catch (err) {
+      console.error("❌ Proposal withdraw error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+export default router;
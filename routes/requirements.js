@@ -2,7 +2,126 @@ import express from "express";
 const router = express.Router();
 import Requirement from "../models/Requirement.js";
 import Project from "../models/Project.js";
-import authMiddleware from "../middleware/authMiddleware.js";
+import Proposal from "../models/Proposal.js";
+import RequirementQuestion from "../models/RequirementQuestion.js";
+import authMiddleware, { requireVerifiedEmail } from "../middleware/authMiddleware.js";
+import authorize from "../middleware/authorize.js";
+import { can } from "../utils/permissions.js";
+import { notifyUser } from "../utils/notify.js";
+import User from "../models/User.js";
+import { readProposal, OPEN_PROPOSAL_STATUSES } from "../utils/proposals.js";
+import { alertMatchingDevelopers } from "../utils/requirementAlerts.js";
+import { statusEntry } from "../utils/projectStatus.js";
+import {
+  readRequirementFields,
+  buildRequirementFilters,
+  REQUIREMENT_SORTS,
+} from "../utils/requirements.js";
+
+// Soft-deleted requirements behave as if they don't exist
+const loadRequirement = (req) => Requirement.findOne({ _id: req.params.id, deletedAt: null });
+
+// Fields a client can edit — each edit snapshots them into `revisions`
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "charges",
+  "deadline",
+  "technologies",
+  "category",
+  "experienceLevel",
+  "budget",
+];
+
+// Comparable form of a field value (dates, arrays and the budget subdocument)
+const comparable = (value) => {
+  if (value?.toObject) value = value.toObject();
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    value = Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Same rule as the GET / listing: admins, the owner client, and developers for
+// open requirements or the ones awarded to them
+const isListedFor = (user, requirement) => {
+  if (can(user, "requirement.viewAll")) return true;
+
+  const me = String(user._id);
+  const ownerId = String(requirement.client?._id ?? requirement.client);
+  const developer = requirement.developer?._id ?? requirement.developer;
+  const developerId = developer ? String(developer) : null;
+
+  if (user.role === "client") return ownerId === me;
+  if (user.role === "developer")
+    return developerId === me || (requirement.status === "pending" && !developerId);
+  return false;
+};
+
+const BIDDER_FIELDS = "name email photo technologies experience charges";
+const PROPOSAL_SORTS = {
+  charges: { charges: 1 },
+  "-charges": { charges: -1 },
+  deliveryDays: { deliveryDays: 1 },
+  "-deliveryDays": { deliveryDays: -1 },
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+};
+
+const MAX_QUESTION = 2000;
+const MAX_ANSWER = 5000;
+const QUESTION_VISIBILITIES = ["public", "private"];
+
+// Trimmed, non-empty and not too long → { text } | { error }
+const readText = (value, label, max) => {
+  const text = String(value || "").trim();
+  if (!text) return { error: `${label} is required` };
+  if (text.length > max) return { error: `${label} must be at most ${max} characters` };
+  return { text };
+};
+
+const loadQuestion = (req, requirement) =>
+  RequirementQuestion.findOne({ _id: req.params.questionId, requirement: requirement._id });
+
+// Developers who viewed the requirement or have an open bid on it
+const interestedDevelopers = async (requirement) => {
+  const bidders = await Proposal.find({
+    requirement: requirement._id,
+    status: { $in: OPEN_PROPOSAL_STATUSES },
+  }).distinct("developer");
+
+  const ids = new Set([...(requirement.viewedBy || []), ...bidders].map(String));
+  return [...ids];
+};
+
+const notifyInterested = async (io, requirement, message, { event = "requirement:updated" } = {}) => {
+  const developerIds = await interestedDevelopers(requirement);
+
+  for (const id of developerIds) {
+    try {
+      await notifyUser(io, { _id: id }, {
+        message,
+        type: "requirement",
+        link: `/requirements/${requirement._id}`,
+      });
+    } catch (err) {
+      console.error("⚠️ Requirement notification failed:", err.message);
+    }
+    io?.to(id).emit(event, { id: requirement._id, status: requirement.status });
+  }
+};
+
+// Requirement is gone for bidders → their open proposals are declined
+const declineOpenProposals = (requirement) =>
+  Proposal.updateMany(
+    { requirement: requirement._id, status: { $in: OPEN_PROPOSAL_STATUSES } },
+    { status: "declined" }
+  );
 
 /* ======================================================
    GET /developer/:developerId
@@ -14,6 +133,7 @@ router.get("/developer/:developerId", authMiddleware, async (req, res) => {
     const requirements = await Requirement.find({
       developer: developerId,
       status: "accepted",
+      deletedAt: null,
     })
       .populate("client", "name email")
       .populate("developer", "name email")
@@ -34,9 +154,9 @@ router.get("/my-projects", authMiddleware, async (req, res) => {
     let filter = {};
 
     if (req.user.role === "developer") {
-      filter = { developer: req.user._id, status: "accepted" };
+      filter = { developer: req.user._id, status: "accepted", deletedAt: null };
     } else if (req.user.role === "client") {
-      filter = { client: req.user._id, status: "accepted" };
+      filter = { client: req.user._id, status: "accepted", deletedAt: null };
     } else {
       return res.status(403).json({ success: false });
     }
@@ -55,45 +175,51 @@ router.get("/my-projects", authMiddleware, async (req, res) => {
 /* ======================================================
    POST / (client posts requirement)
 ====================================================== */
-router.post("/", authMiddleware, async (req, res) => {
-  try {
-    if (req.user.role !== "client")
-      return res.status(403).json({ success: false, message: "Clients only" });
-
-    const { title, description, charges, deadline } = req.body;
-
-    const requirement = await Requirement.create({
-      client: req.user._id,
-      title,
-      description,
-      charges,
-      deadline: deadline || null,
-      status: "pending",
-    });
-
-    const populated = await Requirement.findById(requirement._id).populate(
-      "client",
-      "name email"
-    );
+router.post(
+  "/",
+  authMiddleware,
+  requireVerifiedEmail,
+  authorize("requirement.create", { message: "Clients only" }),
+  async (req, res) => {
+    try {
+      const { fields, error } = readRequirementFields(req.body);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const requirement = await Requirement.create({
+        ...fields,
+        client: req.user._id,
+        status: "pending",
+      });
 
-    const io = req.app.get("io");
-    if (io) io.emit("requirement:posted", populated);
+      const populated = await Requirement.findById(requirement._id).populate(
+        "client",
+        "name email"
+      );
 
-    res.json({ success: true, requirement: populated });
-  } catch (err) {
-    res.status(500).json({ success: false });
+      // 📣 Only developers whose skills / alerts match hear about it
+      try {
+        await alertMatchingDevelopers(req.app.get("io"), requirement);
+      } catch (alertErr) {
+        console.error("⚠️ Requirement alerts failed:", alertErr.message);
+      }
+
+      res.json({ success: true, requirement: populated });
+    } catch (err) {
+      console.error("❌ Requirement create error:", err.message);
+      res.status(500).json({ success: false });
+    }
   }
-});
+);
 
 /* ======================================================
-   GET /all (Admin only)
+   GET /all (Admin only) — ?includeDeleted=true shows soft-deleted ones
 ====================================================== */
-router.get("/all", authMiddleware, async (req, res) => {
+router.get("/all", authMiddleware, authorize("requirement.viewAll"), async (req, res) => {
   try {
-    if (!["admin", "superadmin"].includes(req.user.role))
-      return res.status(403).json({ success: false });
+    const filter = req.query.includeDeleted === "true" ? {} : { deletedAt: null };
 
-    const requirements = await Requirement.find({})
+    const requirements = await Requirement.find(filter)
+      .select("-viewedBy")
       .populate("client", "name email")
       .populate("developer", "name email")
       .sort({ createdAt: -1 });
@@ -106,29 +232,63 @@ router.get("/all", authMiddleware, async (req, res) => {
 
 /* ======================================================
    GET / (role-based fetch)
+   ?technologies=react,node&category=&experienceLevel=&budgetType=fixed|hourly
+   &currency=USD&minBudget=&maxBudget=&search=&status=
+   &matchMySkills=true (developers) &sort=newest|oldest|budget|-budget|deadline
+   &page=1&limit=20
 ====================================================== */
 router.get("/", authMiddleware, async (req, res) => {
   try {
-    let filter = {};
+    const { page = 1, limit = 20 } = req.query;
+    const filters = [{ deletedAt: null }];
 
     if (req.user.role === "developer") {
-      filter = {
+      filters.push({
         $or: [
           { status: "pending", developer: null },
           { developer: req.user._id },
         ],
-      };
+      });
     } else if (req.user.role === "client") {
-      filter = { client: req.user._id };
+      filters.push({ client: req.user._id });
     }
 
-    const requirements = await Requirement.find(filter)
-      .populate("client", "name email")
-      .populate("developer", "name email")
-      .sort({ createdAt: -1 });
+    // 🎯 Only requirements asking for at least one of my technologies
+    let technologies = null;
+    if (req.query.matchMySkills === "true" && req.user.role === "developer") {
+      const me = await User.findById(req.user._id).select("technologies").lean();
+      technologies = me?.technologies || [];
+      if (!technologies.length)
+        return res.json({ success: true, requirements: [], total: 0, page: 1, pages: 0 });
+    }
 
-    res.json({ success: true, requirements });
+    filters.push(...buildRequirementFilters(req.query, { technologies }));
+    if (req.query.status) filters.push({ status: String(req.query.status) });
+
+    const perPage = Math.min(Math.max(Number(limit) || 20, 1), 100);
+    const currentPage = Math.max(Number(page) || 1, 1);
+    const query = { $and: filters };
+
+    const [requirements, total] = await Promise.all([
+      Requirement.find(query)
+        .select("-viewedBy -revisions")
+        .populate("client", "name email")
+        .populate("developer", "name email")
+        .sort(REQUIREMENT_SORTS[req.query.sort] || REQUIREMENT_SORTS.newest)
+        .skip((currentPage - 1) * perPage)
+        .limit(perPage),
+      Requirement.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      requirements,
+      total,
+      page: currentPage,
+      pages: Math.ceil(total / perPage),
+    });
   } catch (err) {
+    console.error("❌ Requirement list error:", err.message);
     res.status(500).json({ success: false });
   }
 });
@@ -139,12 +299,21 @@ router.get("/", authMiddleware, async (req, res) => {
 router.get("/:id", authMiddleware, async (req, res) => {
   try {
     const requirement = await Requirement.findById(req.params.id)
+      .select("-viewedBy")
       .populate("client", "name email role")
       .populate("developer", "name email role");
 
-    if (!requirement)
+    if (!requirement || (requirement.deletedAt && !can(req.user, "requirement.viewAll")))
       return res.status(404).json({ success: false, message: "Not found" });
 
+    // 👀 Remember developers who looked at it, so they hear about edits
+    if (req.user.role === "developer") {
+      await Requirement.updateOne(
+        { _id: requirement._id },
+        { $addToSet: { viewedBy: req.user._id } }
+      );
+    }
+
     let project = await Project.findOne({
       requirements: requirement._id,
     })
@@ -155,9 +324,13 @@ router.get("/:id", authMiddleware, async (req, res) => {
         "title description charges deadline status"
       );
 
+    // Edit history only for those the listing shows it to
+    const body = requirement.toObject();
+    if (!isListedFor(req.user, requirement)) delete body.revisions;
+
     res.json({
       success: true,
-      requirement,
+      requirement: body,
       project: project || null,
     });
   } catch (err) {
@@ -166,69 +339,606 @@ router.get("/:id", authMiddleware, async (req, res) => {
 });
 
 /* ======================================================
-   PUT /:id/:action (developer accept/reject)
+   POST /:id/proposals (developer bids on a pending requirement)
+   { coverLetter, charges, deliveryDays }
 ====================================================== */
-router.put("/:id/:action", authMiddleware, async (req, res) => {
+router.post(
+  "/:id/proposals",
+  authMiddleware,
+  requireVerifiedEmail,
+  authorize("proposal.create", { load: loadRequirement, message: "Developers only" }),
+  async (req, res) => {
+    try {
+      const requirement = req.resource;
+
+      if (requirement.status !== "pending" || requirement.developer)
+        return res
+          .status(400)
+          .json({ success: false, message: "This requirement is no longer open" });
+
+      const { fields, error } = readProposal(req.body, { partial: false });
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const existing = await Proposal.findOne({
+        requirement: requirement._id,
+        developer: req.user._id,
+      });
+
+      if (existing && existing.status !== "withdrawn")
+        return res.status(400).json({
+          success: false,
+          message: "You already submitted a proposal — edit it instead",
+        });
+
+      // A withdrawn bid can be re-submitted
+      const proposal =
+        existing || new Proposal({ requirement: requirement._id, developer: req.user._id });
+      Object.assign(proposal, fields, { status: "submitted" });
+      await proposal.save();
+
+      const io = req.app.get("io");
+      await notifyUser(io, { _id: requirement.client }, {
+        message: `📨 ${req.user.name} sent a proposal for "${requirement.title}"`,
+        type: "requirement",
+        link: `/requirements/${requirement._id}`,
+      });
+      io?.to(String(requirement.client)).emit("proposal:new", proposal);
+
+      res.status(201).json({ success: true, proposal });
+    } catch (err) {
+      console.error("❌ Proposal create error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ======================================================
+   GET /:id/proposals
+   Owner client / admin → all bids (?status=&sort=charges|deliveryDays|newest…)
+   Developer → only their own bid
+====================================================== */
+router.get("/:id/proposals", authMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== "developer")
-      return res.status(403).json({ success: false });
+    const requirement = await Requirement.findOne({ _id: req.params.id, deletedAt: null });
+    if (!requirement)
+      return res.status(404).json({ success: false, message: "Not found" });
 
-    const { id, action } = req.params;
-    const status = action === "accept" ? "accepted" : "rejected";
+    const filter = { requirement: requirement._id };
 
-    const updated = await Requirement.findOneAndUpdate(
-      { _id: id, status: "pending" },
-      { status, developer: req.user._id },
-      { new: true }
-    )
-      .populate("client", "name email")
-      .populate("developer", "name email");
+    if (!can(req.user, "proposal.list", requirement)) {
+      if (req.user.role !== "developer")
+        return res.status(403).json({ success: false, message: "Access denied" });
+      filter.developer = req.user._id;
+    }
+
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const proposals = await Proposal.find(filter)
+      .populate("developer", BIDDER_FIELDS)
+      .sort(PROPOSAL_SORTS[req.query.sort] || PROPOSAL_SORTS.newest);
+
+    res.json({ success: true, proposals, total: proposals.length });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(404).json({ success: false, message: "Not found" });
+    console.error("❌ Proposal list error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* ======================================================
+   PUT /:id/proposals/:proposalId/shortlist (owner client)
+   { shortlisted: true | false }
+====================================================== */
+router.put(
+  "/:id/proposals/:proposalId/shortlist",
+  authMiddleware,
+  authorize("proposal.award", { load: loadRequirement }),
+  async (req, res) => {
+    try {
+      const shortlisted = req.body.shortlisted !== false;
+
+      const proposal = await Proposal.findOneAndUpdate(
+        {
+          _id: req.params.proposalId,
+          requirement: req.resource._id,
+          status: { $in: OPEN_PROPOSAL_STATUSES },
+        },
+        { status: shortlisted ? "shortlisted" : "submitted" },
+        { new: true }
+      ).populate("developer", BIDDER_FIELDS);
+
+      if (!proposal)
+        return res.status(404).json({ success: false, message: "Proposal not found" });
+
+      if (shortlisted) {
+        await notifyUser(req.app.get("io"), proposal.developer, {
+          message: `⭐ Your proposal for "${req.resource.title}" was shortlisted`,
+          type: "requirement",
+          link: `/requirements/${req.resource._id}`,
+        });
+      }
+
+      res.json({ success: true, proposal });
+    } catch (err) {
+      if (err.name === "CastError")
+        return res.status(404).json({ success: false, message: "Proposal not found" });
+      console.error("❌ Proposal shortlist error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ======================================================
+   POST /:id/proposals/:proposalId/award (owner client)
+   → requirement accepted, project created, other bidders told
+====================================================== */
+router.post(
+  "/:id/proposals/:proposalId/award",
+  authMiddleware,
+  authorize("proposal.award", { load: loadRequirement }),
+  async (req, res) => {
+    try {
+      const requirement = req.resource;
+      const io = req.app.get("io");
+
+      const proposal = await Proposal.findOne({
+        _id: req.params.proposalId,
+        requirement: requirement._id,
+        status: { $in: OPEN_PROPOSAL_STATUSES },
+      });
 
-    let project = null;
+      if (!proposal)
+        return res.status(404).json({ success: false, message: "Proposal not found" });
+
+      // Atomic → a requirement can only be awarded once
+      const awarded = await Requirement.findOneAndUpdate(
+        { _id: requirement._id, status: "pending", developer: null },
+        { status: "accepted", developer: proposal.developer, awardedProposal: proposal._id },
+        { new: true }
+      )
+        .populate("client", "name email")
+        .populate("developer", "name email");
+
+      if (!awarded)
+        return res
+          .status(400)
+          .json({ success: false, message: "This requirement was already awarded" });
+
+      proposal.status = "awarded";
+      await proposal.save();
+
+      const others = await Proposal.find({
+        requirement: requirement._id,
+        _id: { $ne: proposal._id },
+        status: { $in: OPEN_PROPOSAL_STATUSES },
+      }).select("developer");
+
+      await Proposal.updateMany(
+        { _id: { $in: others.map((p) => p._id) } },
+        { status: "declined" }
+      );
 
-    if (status === "accepted") {
-      project = await Project.create({
-        title: updated.title,
-        client: updated.client._id,
-        developer: updated.developer._id,
-        deadline: updated.deadline,
-        requirements: [updated._id],
+      const project = await Project.create({
+        title: awarded.title,
+        client: awarded.client._id,
+        developer: proposal.developer,
+        description: awarded.description,
+        amount: proposal.charges,
+        deadline:
+          awarded.deadline ||
+          new Date(Date.now() + proposal.deliveryDays * 24 * 60 * 60 * 1000),
+        requirements: [awarded._id],
         status: "in-progress",
+        statusHistory: [
+          statusEntry({
+            to: "in-progress",
+            actor: req.user,
+            side: "client",
+            reason: "Proposal awarded",
+          }),
+        ],
+      });
+
+      await notifyUser(io, { _id: proposal.developer }, {
+        message: `🏆 Your proposal for "${awarded.title}" was accepted — the project has started`,
+        type: "project",
+        link: `/projects/${project._id}`,
       });
+
+      for (const other of others) {
+        await notifyUser(io, { _id: other.developer }, {
+          message: `"${awarded.title}" was awarded to another developer. Thanks for your proposal!`,
+          type: "requirement",
+          link: `/requirements/${awarded._id}`,
+        });
+      }
+
+      // Only the client and the developers who bid hear about it
+      const bidders = await Proposal.distinct("developer", { requirement: awarded._id });
+      for (const id of new Set([awarded.client._id, ...bidders].map(String))) {
+        io?.to(id).emit("requirement:awarded", { id: awarded._id, developer: proposal.developer });
+      }
+
+      res.json({ success: true, requirement: awarded, proposal, project });
+    } catch (err) {
+      if (err.name === "CastError")
+        return res.status(404).json({ success: false, message: "Proposal not found" });
+      console.error("❌ Proposal award error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
     }
+  }
+);
+
+/* ======================================================
+   GET /:id/questions (Q&A thread, oldest first)
+   Client / admin → everything · others → public + their own
+====================================================== */
+router.get("/:id/questions", authMiddleware, async (req, res) => {
+  try {
+    const requirement = await loadRequirement(req);
+    if (!requirement)
+      return res.status(404).json({ success: false, message: "Not found" });
 
-    res.json({ success: true, requirement: updated, project });
+    const filter = { requirement: requirement._id };
+    if (!can(req.user, "question.moderate", requirement)) {
+      filter.$or = [{ visibility: "public" }, { asker: req.user._id }];
+    }
+
+    const questions = await RequirementQuestion.find(filter)
+      .populate("asker", "name photo")
+      .sort({ createdAt: 1 });
+
+    res.json({ success: true, questions, total: questions.length });
   } catch (err) {
-    res.status(500).json({ success: false });
+    if (err.name === "CastError")
+      return res.status(404).json({ success: false, message: "Not found" });
+    console.error("❌ Question list error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 /* ======================================================
-   PUT /:id (client edits pending)
+   POST /:id/questions (developer asks the client)
+   { question, visibility?: "public" | "private" }
+====================================================== */
+router.post(
+  "/:id/questions",
+  authMiddleware,
+  requireVerifiedEmail,
+  authorize("question.ask", { load: loadRequirement, message: "Developers only" }),
+  async (req, res) => {
+    try {
+      const requirement = req.resource;
+
+      if (requirement.status !== "pending")
+        return res
+          .status(400)
+          .json({ success: false, message: "This requirement is no longer open" });
+
+      const { text, error } = readText(req.body.question, "Question", MAX_QUESTION);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const visibility = req.body.visibility || "public";
+      if (!QUESTION_VISIBILITIES.includes(visibility))
+        return res.status(400).json({ success: false, message: "Invalid visibility" });
+
+      const question = await RequirementQuestion.create({
+        requirement: requirement._id,
+        asker: req.user._id,
+        question: text,
+        visibility,
+      });
+
+      const io = req.app.get("io");
+      await notifyUser(io, { _id: requirement.client }, {
+        message: `❓ ${req.user.name} asked a question about "${requirement.title}"`,
+        type: "requirement",
+        link: `/requirements/${requirement._id}`,
+      });
+      io?.to(String(requirement.client)).emit("requirement:question", question);
+
+      res.status(201).json({ success: true, question });
+    } catch (err) {
+      console.error("❌ Question create error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ======================================================
+   PUT /:id/questions/:questionId/answer (owner client)
+   { answer, visibility? } — answering again edits the answer
+====================================================== */
+router.put(
+  "/:id/questions/:questionId/answer",
+  authMiddleware,
+  authorize("question.answer", { load: loadRequirement }),
+  async (req, res) => {
+    try {
+      const requirement = req.resource;
+
+      const { text, error } = readText(req.body.answer, "Answer", MAX_ANSWER);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      if (req.body.visibility && !QUESTION_VISIBILITIES.includes(req.body.visibility))
+        return res.status(400).json({ success: false, message: "Invalid visibility" });
+
+      const question = await loadQuestion(req, requirement);
+      if (!question)
+        return res.status(404).json({ success: false, message: "Question not found" });
+
+      const firstAnswer = !question.answeredAt;
+      question.answer = text;
+      question.answeredBy = req.user._id;
+      question.answeredAt = new Date();
+      if (req.body.visibility) question.visibility = req.body.visibility;
+      await question.save();
+
+      const io = req.app.get("io");
+      await notifyUser(io, { _id: question.asker }, {
+        message: firstAnswer
+          ? `💬 Your question about "${requirement.title}" was answered`
+          : `💬 The answer to your question about "${requirement.title}" was updated`,
+        type: "requirement",
+        link: `/requirements/${requirement._id}`,
+      });
+      io?.to(String(question.asker)).emit("requirement:answer", question);
+
+      res.json({ success: true, question });
+    } catch (err) {
+      if (err.name === "CastError")
+        return res.status(404).json({ success: false, message: "Question not found" });
+      console.error("❌ Question answer error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ======================================================
+   PUT /:id/questions/:questionId/visibility (client / admin)
+   { visibility: "public" | "private" }
+====================================================== */
+router.put(
+  "/:id/questions/:questionId/visibility",
+  authMiddleware,
+  authorize("question.moderate", { load: loadRequirement }),
+  async (req, res) => {
+    try {
+      const { visibility } = req.body;
+      if (!QUESTION_VISIBILITIES.includes(visibility))
+        return res.status(400).json({ success: false, message: "Invalid visibility" });
+
+      const question = await RequirementQuestion.findOneAndUpdate(
+        { _id: req.params.questionId, requirement: req.resource._id },
+        { visibility },
+        { new: true }
+      );
+
+      if (!question)
+        return res.status(404).json({ success: false, message: "Question not found" });
+
+      res.json({ success: true, question });
+    } catch (err) {
+      if (err.name === "CastError")
+        return res.status(404).json({ success: false, message: "Question not found" });
+      console.error("❌ Question visibility error:", err.message);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+/* ======================================================
+   DELETE /:id/questions/:questionId
+   Asker → while unanswered · client / admin → any
 ====================================================== */
-router.put("/:id", authMiddleware, async (req, res) => {
+router.delete("/:id/questions/:questionId", authMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== "client")
-      return res.status(403).json({ success: false });
+    const requirement = await loadRequirement(req);
+    if (!requirement)
+      return res.status(404).json({ success: false, message: "Not found" });
 
-    res.json({ success: true });
-  } catch {
-    res.status(500).json({ success: false });
+    const question = await loadQuestion(req, requirement);
+    if (!question)
+      return res.status(404).json({ success: false, message: "Question not found" });
+
+    const isAsker = String(question.asker) === String(req.user._id);
+    const allowed =
+      can(req.user, "question.moderate", requirement) || (isAsker && !question.answeredAt);
+
+    if (!allowed)
+      return res.status(403).json({
+        success: false,
+        message: isAsker ? "Answered questions can't be deleted" : "Access denied",
+      });
+
+    await question.deleteOne();
+
+    res.json({ success: true, message: "Question deleted" });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(404).json({ success: false, message: "Not found" });
+    console.error("❌ Question delete error:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
 /* ======================================================
-   DELETE /:id (client)
+   PUT /:id/:action — replaced by proposals
+   (first developer to click "accept" used to take the requirement)
+====================================================== */
+router.put("/:id/:action", authMiddleware, (req, res) => {
+  res.status(410).json({
+    success: false,
+    message: "Requirements are now awarded through proposals: POST /api/requirements/:id/proposals",
+  });
+});
+
+/* ======================================================
+   GET /:id/revisions (edit history, oldest first)
+   Only for those the listing shows the requirement to
 ====================================================== */
-router.delete("/:id", authMiddleware, async (req, res) => {
+router.get("/:id/revisions", authMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== "client")
-      return res.status(403).json({ success: false });
+    const requirement = await Requirement.findOne({ _id: req.params.id, deletedAt: null })
+      .select(
+        [...EDITABLE_FIELDS, "client", "developer", "status", "updatedAt", "revisions"].join(" ")
+      )
+      .populate("revisions.editedBy", "name");
+
+    if (!requirement)
+      return res.status(404).json({ success: false, message: "Not found" });
+
+    if (!isListedFor(req.user, requirement))
+      return res.status(403).json({ success: false, message: "Access denied" });
 
-    res.json({ success: true });
-  } catch {
+    res.json({
+      success: true,
+      current: {
+        ...Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, requirement[field]])),
+        updatedAt: requirement.updatedAt,
+      },
+      revisions: requirement.revisions,
+    });
+  } catch (err) {
+    if (err.name === "CastError")
+      return res.status(404).json({ success: false, message: "Not found" });
     res.status(500).json({ success: false });
   }
 });
 
+/* ======================================================
+   POST /:id/close (client withdraws a pending requirement)
+====================================================== */
+router.post(
+  "/:id/close",
+  authMiddleware,
+  authorize("requirement.update", { load: loadRequirement }),
+  async (req, res) => {
+    try {
+      const requirement = req.resource;
+
+      if (requirement.status !== "pending")
+        return res
+          .status(400)
+          .json({ success: false, message: "Only open requirements can be closed" });
+
+      requirement.status = "closed";
+      requirement.closedAt = new Date();
+      await requirement.save();
+
+      await notifyInterested(
+        req.app.get("io"),
+        requirement,
+        `🔒 "${requirement.title}" was closed by the client`
+      );
+      await declineOpenProposals(requirement);
+
+      res.json({ success: true, requirement });
+    } catch (err) {
+      console.error("❌ Requirement close error:", err.message);
+      res.status(500).json({ success: false });
+    }
+  }
+);
+
+/* ======================================================
+   PUT /:id (client edits pending — every edit is a revision)
+   { title?, description?, charges?, deadline?, technologies?, category?,
+     experienceLevel?, budget? }
+====================================================== */
+router.put(
+  "/:id",
+  authMiddleware,
+  authorize("requirement.update", { load: loadRequirement }),
+  async (req, res) => {
+    try {
+      const requirement = req.resource;
+
+      if (requirement.status !== "pending" || requirement.developer)
+        return res.status(400).json({
+          success: false,
+          message: "Only open requirements can be edited",
+        });
+
+      const { fields: updates, error } = readRequirementFields(req.body, { partial: true });
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const changed = Object.keys(updates).filter(
+        (field) => comparable(updates[field]) !== comparable(requirement[field])
+      );
+
+      if (!changed.length)
+        return res.json({ success: true, message: "Nothing changed", requirement });
+
+      // Keep the version being replaced
+      requirement.revisions.push({
+        ...Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, requirement[field]])),
+        editedBy: req.user._id,
+        editedAt: new Date(),
+      });
+
+      for (const field of changed) requirement[field] = updates[field];
+      await requirement.save();
+
+      await notifyInterested(
+        req.app.get("io"),
+        requirement,
+        `✏️ "${requirement.title}" was updated (${changed.join(", ")}) — check your proposal still fits`
+      );
+
+      const populated = await Requirement.findById(requirement._id)
+        .select("-viewedBy")
+        .populate("client", "name email");
+
+      res.json({ success: true, requirement: populated, changed });
+    } catch (err) {
+      console.error("❌ Requirement update error:", err.message);
+      res.status(500).json({ success: false });
+    }
+  }
+);
+
+/* ======================================================
+   DELETE /:id (client: while not awarded · admin: any) — soft delete
+====================================================== */
+router.delete(
+  "/:id",
+  authMiddleware,
+  authorize("requirement.delete", { load: loadRequirement }),
+  async (req, res) => {
+    try {
+      const requirement = req.resource;
+
+      if (requirement.status === "accepted" && !can(req.user, "requirement.viewAll"))
+        return res.status(400).json({
+          success: false,
+          message: "This requirement already has a project and can't be deleted",
+        });
+
+      requirement.deletedAt = new Date();
+      await requirement.save();
+
+      if (["pending", "closed"].includes(requirement.status)) {
+        await notifyInterested(
+          req.app.get("io"),
+          requirement,
+          `🗑 "${requirement.title}" was removed by the client`,
+          { event: "requirement:deleted" }
+        );
+        await declineOpenProposals(requirement);
+      }
+
+      req.app.get("io")?.to(String(requirement.client)).emit("requirement:deleted", {
+        id: requirement._id,
+      });
+
+      res.json({ success: true, message: "Requirement deleted" });
+    } catch (err) {
+      console.error("❌ Requirement delete error:", err.message);
+      res.status(500).json({ success: false });
+    }
+  }
+);
+
 export default router;
@@ -1,6 +1,8 @@
 import express from "express";
 import Review from "../models/Review.js";
+import Project from "../models/Project.js";
 import authMiddleware from "../middleware/authMiddleware.js";
+import authorize from "../middleware/authorize.js";
 const router = express.Router();
 
 /* ---------------------------------------------
@@ -48,10 +50,12 @@ router.get("/:developerId", async (req, res) => {
 /* ---------------------------------------------
    📍 POST /api/reviews
    → Add new review (for developer or general)
+   { projectId? } → review of an accepted (completed) project
 --------------------------------------------- */
-router.post("/", authMiddleware, async (req, res) => {
+router.post("/", authMiddleware, authorize("review.create"), async (req, res) => {
   try {
-    const { developerId, rating, comment } = req.body;
+    let { developerId } = req.body;
+    const { rating, comment, projectId } = req.body;
 
     if (!rating || rating < 1 || rating > 5) {
       return res.status(400).json({
@@ -60,9 +64,31 @@ router.post("/", authMiddleware, async (req, res) => {
       });
     }
 
+    // Project reviews: the client, once the work has been accepted
+    if (projectId) {
+      const project = await Project.findById(projectId).catch(() => null);
+
+      if (!project || String(project.client) !== String(req.user._id))
+        return res.status(404).json({ success: false, message: "Project not found" });
+
+      if (project.status !== "completed")
+        return res.status(400).json({
+          success: false,
+          message: "Projects can be reviewed once the completion is accepted",
+        });
+
+      if (await Review.exists({ project: project._id }))
+        return res
+          .status(400)
+          .json({ success: false, message: "You already reviewed this project" });
+
+      developerId = project.developer;
+    }
+
     const reviewData = {
       developer: developerId || null, // null = CodeCommunity review
       client: req.user._id,
+      project: projectId || null,
       rating,
       comment,
     };
@@ -88,38 +114,36 @@ router.post("/", authMiddleware, async (req, res) => {
 
 /* ---------------------------------------------
    📍 DELETE /api/reviews/:id
-   → Delete review (admin only)
+   → Delete review (admin + superadmin)
 --------------------------------------------- */
-router.delete("/:id", authMiddleware, async (req, res) => {
-  try {
-    if (req.user.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        message: "Only admins can delete reviews",
-      });
-    }
-
-    const review = await Review.findByIdAndDelete(req.params.id);
-    if (!review) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Review not found" });
-    }
+router.delete(
+  "/:id",
+  authMiddleware,
+  authorize("review.delete", { message: "Only admins can delete reviews" }),
+  async (req, res) => {
+    try {
+      const review = await Review.findByIdAndDelete(req.params.id);
+      if (!review) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Review not found" });
+      }
 
-    // ✅ Emit delete event (developer-specific or global)
-    if (req.io) {
-      if (review.developer) {
-        req.io.to(`developer:${review.developer}`).emit("review:delete", review._id);
-      } else {
-        req.io.emit("review:delete:global", review._id);
+      // ✅ Emit delete event (developer-specific or global)
+      if (req.io) {
+        if (review.developer) {
+          req.io.to(`developer:${review.developer}`).emit("review:delete", review._id);
+        } else {
+          req.io.emit("review:delete:global", review._id);
+        }
       }
-    }
 
-    res.json({ success: true, message: "Review deleted successfully" });
-  } catch (err) {
-    console.error("❌ Delete review error:", err);
-    res.status(500).json({ success: false, message: "Server error" });
+      res.json({ success: true, message: "Review deleted successfully" });
+    } catch (err) {
+      console.error("❌ Delete review error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
   }
-});
+);
 
 export default router;
@@ -1,5 +1,6 @@
 import express from "express";
 import User from "../models/User.js";
+import { visibleAccountFilter } from "../utils/accountStatus.js";
 
 const router = express.Router();
 
@@ -26,6 +27,7 @@ router.get("/", async (req, res) => {
         { email: regex },
         { technologies: regex },
       ],
+      ...visibleAccountFilter(), // skip suspended / banned accounts
     })
       .select("_id name email technologies experience charges avgRating role")
       .limit(20)
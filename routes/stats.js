@@ -3,50 +3,48 @@ const router = express.Router();
 import User from "../models/User.js";
 import Project from "../models/Project.js";
 import authMiddleware from "../middleware/authMiddleware.js";
-import authenticate from "../middleware/authenticate.js";
+import authorize from "../middleware/authorize.js";
 
 /* ============================================================
    📌 GET /api/stats
    → Dashboard statistics (Admin + SuperAdmin only)
 ============================================================ */
-router.get("/", authMiddleware, async (req, res) => {
-  try {
-    if (!["admin", "superadmin"].includes(req.user.role)) {
-      return res.status(403).json({
+router.get(
+  "/",
+  authMiddleware,
+  authorize("stats.view", { message: "Only admin or superadmin can view stats" }),
+  async (req, res) => {
+    try {
+      const totalUsers = await User.countDocuments();
+      const totalAdmins = await User.countDocuments({ 
+        role: { $in: ["admin", "superadmin"] }
+      });
+      const totalDevelopers = await User.countDocuments({ role: "developer" });
+      const totalClients = await User.countDocuments({ role: "client" });
+
+      const recentUsers = await User.countDocuments({
+        createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
+      });
+
+      return res.json({
+        success: true,
+        stats: {
+          totalUsers,
+          totalAdmins,
+          totalDevelopers,
+          totalClients,
+          recentUsers,
+        },
+      });
+    } catch (err) {
+      console.error("❌ Stats Error:", err.message);
+      return res.status(500).json({
         success: false,
-        message: "Only admin or superadmin can view stats",
+        message: "Error fetching platform statistics",
       });
     }
-
-    const totalUsers = await User.countDocuments();
-    const totalAdmins = await User.countDocuments({ 
-      role: { $in: ["admin", "superadmin"] }
-    });
-    const totalDevelopers = await User.countDocuments({ role: "developer" });
-    const totalClients = await User.countDocuments({ role: "client" });
-
-    const recentUsers = await User.countDocuments({
-      createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
-    });
-
-    return res.json({
-      success: true,
-      stats: {
-        totalUsers,
-        totalAdmins,
-        totalDevelopers,
-        totalClients,
-        recentUsers,
-      },
-    });
-  } catch (err) {
-    console.error("❌ Stats Error:", err.message);
-    return res.status(500).json({
-      success: false,
-      message: "Error fetching platform statistics",
-    });
   }
-});
+);
 
 /* ============================================================
    📌 Helper: Inclusive Date Range Parsing
@@ -68,12 +66,8 @@ function parseDateRange(queryFrom, queryTo) {
    📌 GET /api/stats/analytics (FULLY FIXED)
    → Full analytics for Admin Dashboard (what your frontend wants)
 ============================================================ */
-router.get("/analytics", authenticate, async (req, res) => {
+router.get("/analytics", authMiddleware, authorize("stats.view"), async (req, res) => {
   try {
-    if (!["admin", "superadmin"].includes(req.user.role)) {
-      return res.status(403).json({ success: false, message: "Access denied" });
-    }
-
     const { from, to } = parseDateRange(req.query.from, req.query.to);
 
     /* Parallel Queries */
@@ -3,6 +3,7 @@ import path from "path";
 import fs from "fs";
 import Testimonial from "../models/Testimonial.js";
 import User from "../models/User.js";
+import { visibleAccountFilter } from "../utils/accountStatus.js";
 const router = express.Router();
 
 const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5001}`;
@@ -12,7 +13,10 @@ router.get("/", async (req, res) => {
   try {
     // Fetch all testimonials and populate user
     const testimonials = await Testimonial.find().populate("user", "name role photo");
-    const users = await User.find({ role: { $in: ["developer", "client"] } });
+    const users = await User.find({
+      role: { $in: ["developer", "client"] },
+      ...visibleAccountFilter(),
+    });
 
     // Map testimonials
     const testimonialData = testimonials.map((t) => ({
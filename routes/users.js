@@ -1,15 +1,18 @@
 import express from "express";
+import bcrypt from "bcryptjs";
 import User from "../models/User.js";
-import authenticate from "../middleware/authenticate.js";
+import authMiddleware, { requireSession } from "../middleware/authMiddleware.js";
+import authorize from "../middleware/authorize.js";
+import { can } from "../utils/permissions.js";
+import { recordAudit } from "../utils/audit.js";
+import { getRestriction, visibleAccountFilter } from "../utils/accountStatus.js";
+import { buildAccountExport, DELETION_GRACE_DAYS } from "../utils/accountData.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { readAlertPreferences } from "../utils/requirementAlerts.js";
 
 const router = express.Router();
 
-/* -----------------------------------------------------
-   Helpers
------------------------------------------------------ */
-const isSuperAdmin = (user) => user?.role === "superadmin";
-const isAdmin = (user) => user?.role === "admin";
-const allowAdmin = (req) => isAdmin(req.user) || isSuperAdmin(req.user);
+const loadTargetUser = (req) => User.findById(req.params.id);
 
 /* =====================================================
    ✅ PUBLIC ROUTE — Get a user's public profile
@@ -19,7 +22,7 @@ router.get("/profile/:id", async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select("-password");
 
-    if (!user) {
+    if (!user || getRestriction(user)) {
       return res.status(404).json({ success: false, message: "User not found" });
     }
 
@@ -34,12 +37,13 @@ router.get("/profile/:id", async (req, res) => {
    ✅ PUBLIC ROUTE — Get ALL users (not admin restricted)
    GET /api/users/all
 ===================================================== */
-router.get("/all", authenticate, async (req, res) => {
+router.get("/all", authMiddleware, async (req, res) => {
   try {
     const me = req.user._id;
 
     const users = await User.find({
-      _id: { $ne: me }   // ❗ EXCLUDE self
+      _id: { $ne: me },   // ❗ EXCLUDE self
+      ...visibleAccountFilter(),
     }).select("-password");
 
     res.json({ success: true, users });
@@ -52,7 +56,8 @@ router.get("/all", authenticate, async (req, res) => {
 router.get("/public/all", async (req, res) => {
   try {
     const users = await User.find({
-      role: { $in: ["developer", "client"] }
+      role: { $in: ["developer", "client"] },
+      ...visibleAccountFilter(),
     }).select("-password");
 
     res.json({ success: true, users });
@@ -62,14 +67,158 @@ router.get("/public/all", async (req, res) => {
 });
 
 /* =====================================================
-   ADMIN PANEL — Only Admin + SuperAdmin
+   MY DATA — download everything we store about me
+   GET /api/users/me/export
 ===================================================== */
-router.get("/", authenticate, async (req, res) => {
+router.get("/me/export", authMiddleware, requireSession, async (req, res) => {
   try {
-    if (!allowAdmin(req)) {
-      return res.status(403).json({ success: false, message: "Access denied" });
+    const data = await buildAccountExport(req.user._id);
+    if (!data) return res.status(404).json({ success: false, message: "User not found" });
+
+    await recordAudit(req, { action: "user.export", target: req.user, targetType: "user" });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set("Content-Disposition", `attachment; filename="codecommunity-export-${stamp}.json"`);
+    res.type("application/json").send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    console.error("❌ DATA EXPORT ERROR:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* =====================================================
+   DELETE MY ACCOUNT — scheduled after a grace period
+   POST   /api/users/me/deletion  { password }  → schedule
+   DELETE /api/users/me/deletion               → cancel
+===================================================== */
+router.post("/me/deletion", authMiddleware, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    if (req.user.role === "superadmin")
+      return res
+        .status(403)
+        .json({ success: false, message: "The SuperAdmin account can't be deleted" });
+
+    const { password } = req.body;
+    if (!password || !(await bcrypt.compare(password, user.password)))
+      return res.status(401).json({ success: false, message: "Password is incorrect" });
+
+    if (user.deletion?.scheduledFor)
+      return res.json({
+        success: true,
+        message: "Deletion already scheduled",
+        scheduledFor: user.deletion.scheduledFor,
+      });
+
+    const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    user.deletion = { requestedAt: new Date(), scheduledFor };
+    await user.save();
+
+    await recordAudit(req, {
+      action: "user.deletion.request",
+      target: user,
+      targetType: "user",
+      metadata: { scheduledFor },
+    });
+
+    try {
+      await sendEmail(
+        user.email,
+        "Your account is scheduled for deletion - CodeCommunity",
+        `<p>Hello ${user.name},</p>
+         <p>Your account and personal data will be deleted on ${scheduledFor.toUTCString()}.</p>
+         <p>Changed your mind? Log in and cancel the deletion before then.</p>`
+      );
+    } catch (mailErr) {
+      console.error("⚠️ Deletion email failed:", mailErr.message);
     }
 
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${DELETION_GRACE_DAYS} days`,
+      scheduledFor,
+    });
+  } catch (err) {
+    console.error("❌ DELETION REQUEST ERROR:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+router.delete("/me/deletion", authMiddleware, requireSession, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, "deletion.scheduledFor": { $ne: null } },
+      { "deletion.requestedAt": null, "deletion.scheduledFor": null }
+    );
+
+    if (!user)
+      return res.status(400).json({ success: false, message: "No deletion is scheduled" });
+
+    await recordAudit(req, { action: "user.deletion.cancel", target: user, targetType: "user" });
+
+    res.json({ success: true, message: "Account deletion cancelled" });
+  } catch (err) {
+    console.error("❌ DELETION CANCEL ERROR:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* =====================================================
+   REQUIREMENT ALERTS — which new requirements reach me
+   GET /api/users/me/requirement-alerts
+   PUT /api/users/me/requirement-alerts
+   { enabled?, technologies?, categories?, experienceLevels?,
+     budgetTypes?, minBudget?, emailDigest? }
+===================================================== */
+router.get("/me/requirement-alerts", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("role technologies requirementAlerts");
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    res.json({
+      success: true,
+      alerts: user.requirementAlerts,
+      profileTechnologies: user.technologies,
+    });
+  } catch (err) {
+    console.error("❌ ALERT SETTINGS ERROR:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+router.put("/me/requirement-alerts", authMiddleware, async (req, res) => {
+  try {
+    if (req.user.role !== "developer")
+      return res
+        .status(403)
+        .json({ success: false, message: "Requirement alerts are for developers" });
+
+    const { fields, error } = readAlertPreferences(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const updates = Object.fromEntries(
+      Object.entries(fields).map(([key, value]) => [`requirementAlerts.${key}`, value])
+    );
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+      runValidators: true,
+    }).select("requirementAlerts");
+
+    res.json({ success: true, alerts: user.requirementAlerts });
+  } catch (err) {
+    console.error("❌ ALERT SETTINGS UPDATE ERROR:", err.message);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+/* =====================================================
+   ADMIN PANEL — Only Admin + SuperAdmin
+===================================================== */
+router.get("/", authMiddleware, authorize("user.list"), async (req, res) => {
+  try {
     const { search = "" } = req.query;
 
     let query = search
@@ -82,7 +231,8 @@ router.get("/", authenticate, async (req, res) => {
         }
       : {};
 
-    if (isAdmin(req.user)) {
+    // Admins don't see the SuperAdmin account
+    if (!can(req.user, "user.viewSuperAdmin")) {
       query.role = { $ne: "superadmin" };
     }
 
@@ -98,63 +248,69 @@ router.get("/", authenticate, async (req, res) => {
 /* =====================================================
    Update Role (Admin/SuperAdmin)
 ===================================================== */
-router.patch("/:id/role", authenticate, async (req, res) => {
-  try {
-    if (!allowAdmin(req))
-      return res.status(403).json({ message: "Access denied" });
-
-    const { role } = req.body;
-    if (!["admin", "developer", "client"].includes(role))
-      return res.status(400).json({ message: "Invalid role" });
+router.patch(
+  "/:id/role",
+  authMiddleware,
+  authorize("user.changeRole", { load: loadTargetUser, message: "Cannot modify this user" }),
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+      if (!["admin", "developer", "client"].includes(role))
+        return res.status(400).json({ message: "Invalid role" });
 
-    const target = await User.findById(req.params.id);
-    if (!target) return res.status(404).json({ message: "User not found" });
+      const target = req.resource;
 
-    if (isSuperAdmin(target) && !isSuperAdmin(req.user))
-      return res.status(403).json({ message: "Cannot modify SuperAdmin" });
+      if (role === "admin" && !can(req.user, "user.assignAdmin"))
+        return res.status(403).json({ message: "Only SuperAdmin can assign admin" });
 
-    if (isAdmin(target) && !isSuperAdmin(req.user))
-      return res.status(403).json({ message: "Cannot modify Admin" });
+      const previousRole = target.role;
+      target.role = role;
+      await target.save();
 
-    if (role === "admin" && !isSuperAdmin(req.user))
-      return res.status(403).json({ message: "Only SuperAdmin can assign admin" });
+      await recordAudit(req, {
+        action: "user.role.update",
+        target,
+        targetType: "user",
+        before: { role: previousRole },
+        after: { role },
+      });
 
-    target.role = role;
-    await target.save();
-
-    req.app.get("io")?.emit("user:updated", target);
-    res.json({ success: true, user: target });
-  } catch (err) {
-    console.error("❌ ROLE UPDATE ERROR:", err.message);
-    res.status(500).json({ message: "Server error" });
+      req.app.get("io")?.emit("user:updated", target);
+      res.json({ success: true, user: target });
+    } catch (err) {
+      console.error("❌ ROLE UPDATE ERROR:", err.message);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 /* =====================================================
    Delete User
 ===================================================== */
-router.delete("/:id", authenticate, async (req, res) => {
-  try {
-    if (!allowAdmin(req))
-      return res.status(403).json({ message: "Access denied" });
-
-    const target = await User.findById(req.params.id);
-    if (!target) return res.status(404).json({ message: "User not found" });
+router.delete(
+  "/:id",
+  authMiddleware,
+  authorize("user.delete", { load: loadTargetUser, message: "Cannot delete this user" }),
+  async (req, res) => {
+    try {
+      const target = req.resource;
 
-    if (isSuperAdmin(target) && !isSuperAdmin(req.user))
-      return res.status(403).json({ message: "Cannot delete SuperAdmin" });
+      await target.deleteOne();
 
-    if (isAdmin(target) && !isSuperAdmin(req.user))
-      return res.status(403).json({ message: "Cannot delete Admin" });
+      await recordAudit(req, {
+        action: "user.delete",
+        target,
+        targetType: "user",
+        before: { name: target.name, email: target.email, role: target.role },
+      });
 
-    await target.deleteOne();
-
-    req.app.get("io")?.emit("user:deleted", { id: target._id });
-    res.json({ success: true, message: "User deleted" });
-  } catch (err) {
-    console.error("❌ DELETE ERROR:", err.message);
-    res.status(500).json({ message: "Server error" });
+      req.app.get("io")?.emit("user:deleted", { id: target._id });
+      res.json({ success: true, message: "User deleted" });
+    } catch (err) {
+      console.error("❌ DELETE ERROR:", err.message);
+      res.status(500).json({ message: "Server error" });
+    }
   }
-});
+);
 
 export default router;
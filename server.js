@@ -18,13 +18,20 @@ import rateLimit from "express-rate-limit";
 import mongoSanitize from "express-mongo-sanitize";
 import xss from "xss-clean";
 import cookie from "cookie";
-import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 
 import { Server as SocketIOServer } from "socket.io";
 
 import User from "./models/User.js";
 import Message from "./models/Message.js";
+import { verifySessionToken } from "./utils/session.js";
+import { getRestriction } from "./utils/accountStatus.js";
+import { pendingChatAttachments } from "./utils/attachments.js";
+import Attachment from "./models/Attachment.js";
+import { startAccountDeletionJob } from "./jobs/accountDeletion.js";
+import { startHireExpiryJob } from "./jobs/hireExpiry.js";
+import { startRequirementDigestJob } from "./jobs/requirementDigest.js";
+import { startCompletionAutoAcceptJob } from "./jobs/completionAutoAccept.js";
 
 /* -------------------- paths & env -------------------- */
 const __filename = fileURLToPath(import.meta.url);
@@ -96,6 +103,8 @@ app.use("/api/", apiLimiter);
 /* -------------------- uploads folder -------------------- */
 const uploadDir = path.join(__dirname, "uploads");
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+// Attachments are access-controlled → only via /api/attachments/:id/download
+app.use("/uploads/attachments", (req, res) => res.status(404).end());
 app.use("/uploads", express.static(uploadDir, { maxAge: "1d" }));
 
 /* -------------------- db connect -------------------- */
@@ -126,6 +135,7 @@ async function ensureSuperAdmin() {
         email: SUPER_ADMIN_EMAIL,
         password: hashed,
         role: "superadmin",
+        emailVerified: true,
       });
       console.log("🦸 SuperAdmin created");
     } else if (existing.role !== "superadmin") {
@@ -148,10 +158,13 @@ import adminRoute from "./routes/admin.js";
 import reviewsRoute from "./routes/reviews.js";
 import chatRoute from "./routes/chat.js";
 import requirementsRoute from "./routes/requirements.js";
+import proposalsRoute from "./routes/proposals.js";
 import statsRoute from "./routes/stats.js";
 import testimonialsRoute from "./routes/testimonials.js";
 import usersRoute from "./routes/users.js";
 import connectionsRoute from "./routes/connections.js";
+import attachmentsRoute from "./routes/attachments.js";
+import disputesRoute from "./routes/disputes.js";
 
 app.use("/api/auth", authRoute);
 app.use("/api/projects", projectsRoute);
@@ -162,10 +175,13 @@ app.use("/api/admin", adminRoute);
 app.use("/api/reviews", reviewsRoute);
 app.use("/api/chat", chatRoute);
 app.use("/api/requirements", requirementsRoute);
+app.use("/api/proposals", proposalsRoute);
 app.use("/api/stats", statsRoute);
 app.use("/api/testimonials", testimonialsRoute);
 app.use("/api/users", usersRoute);
 app.use("/api/connections", connectionsRoute);
+app.use("/api/attachments", attachmentsRoute);
+app.use("/api/disputes", disputesRoute);
 
 /* health check */
 app.get("/", (req, res) => res.json({ success: true, message: "API running" }));
@@ -226,22 +242,20 @@ io.use(async (socket, next) => {
 
     if (!token) return next(new Error("No socket token"));
 
-    // try verify with SOCKET_SECRET then fallback to JWT_SECRET
-    let decoded;
-    try {
-      decoded = jwt.verify(token, SOCKET_SECRET);
-    } catch (err) {
-      try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
-      } catch (e) {
-        return next(new Error("Invalid socket token"));
-      }
-    }
+    // try verify with SOCKET_SECRET then fallback to JWT_SECRET (session must be active)
+    const decoded = await verifySessionToken(token, [SOCKET_SECRET, process.env.JWT_SECRET]);
+    if (!decoded) return next(new Error("Invalid socket token"));
 
     const user = await User.findById(decoded.id).select("-password");
     if (!user) return next(new Error("User not found"));
+    if (getRestriction(user)) return next(new Error("Account suspended"));
 
     socket.user = user;
+    socket.sessionId = decoded.sid;
+    socket.impersonatedBy = decoded.impersonatedBy;
+    // socket.data survives fetchSockets() (used to drop revoked sessions)
+    socket.data.sessionId = decoded.sid;
+    socket.data.impersonatedBy = decoded.impersonatedBy;
     socket.join(user._id.toString());
     next();
   } catch (err) {
@@ -263,21 +277,53 @@ io.on("connection", (socket) => {
   io.emit("userOnline", userId);
   console.log(`⚡ ${user.name} connected (${socket.id})`);
 
-socket.on("sendMessage", async ({ to, message, tempId }) => {
+socket.on("sendMessage", async ({ to, message, tempId, attachments = [] }) => {
   try {
+    if (user.emailVerified === false) {
+      socket.emit("chat:error", { tempId, message: "Please verify your email address first" });
+      return;
+    }
+
+    // Support staff can look, but not speak for the user
+    if (socket.impersonatedBy) {
+      socket.emit("chat:error", { tempId, message: "Messages can't be sent while impersonating" });
+      return;
+    }
+
+    // 📎 Only files this user uploaded for this receiver and hasn't sent yet
+    const attachmentIds = await pendingChatAttachments(attachments, { sender: userId, receiver: to });
+
+    if (!String(message || "").trim() && !attachmentIds.length) {
+      socket.emit("chat:error", { tempId, message: "Message text or an attachment is required" });
+      return;
+    }
+
     const newMsg = await Message.create({
       sender: userId,
       receiver: to,
       message,
+      attachments: attachmentIds,
       read: false, // 🔢 unread support
     });
 
+    if (attachmentIds.length) {
+      await Attachment.updateMany({ _id: { $in: attachmentIds } }, { message: newMsg._id });
+    }
+
     const saved = await Message.findById(newMsg._id)
       .populate("sender", "name _id")
       .populate("receiver", "name _id")
+      .populate("attachments", "originalName mimeType size")
       .lean();
 
-    const payload = { ...saved, tempId };
+    const payload = {
+      ...saved,
+      attachments: saved.attachments.map((a) => ({
+        ...a,
+        url: `/api/attachments/${a._id}/download`,
+      })),
+      tempId,
+    };
 
     // 💬 chat message (both sides)
     io.to(to).emit("receiveMessage", payload);
@@ -287,7 +333,7 @@ socket.on("sendMessage", async ({ to, message, tempId }) => {
     io.to(to).emit("newMessageNotification", {
       from: userId,
       fromName: saved.sender.name,
-      message: saved.message,
+      message: saved.message || "📎 Sent you a file",
       messageId: saved._id,
       createdAt: saved.createdAt,
     });
@@ -348,6 +394,10 @@ process.on("SIGTERM", () => shutdown("SIGTERM"));
 /* -------------------- start server -------------------- */
 (async () => {
   await ensureSuperAdmin();
+  startAccountDeletionJob();
+  startHireExpiryJob(io);
+  startRequirementDigestJob();
+  startCompletionAutoAcceptJob(io);
   server.listen(PORT, () => {
     console.log(`🚀 Server listening on port ${PORT}`);
     console.log("🌐 Allowed origins: localhost + any *.vercel.app");
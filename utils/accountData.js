@@ -0,0 +1,180 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import Message from "../models/Message.js";
+import Requirement from "../models/Requirement.js";
+import Project from "../models/Project.js";
+import Review from "../models/Review.js";
+import Notification from "../models/Notification.js";
+import Hire from "../models/Hire.js";
+import Proposal from "../models/Proposal.js";
+import RequirementQuestion from "../models/RequirementQuestion.js";
+import Attachment from "../models/Attachment.js";
+import Dispute from "../models/Dispute.js";
+import Testimonial from "../models/Testimonial.js";
+import Session from "../models/Session.js";
+import ApiKey from "../models/ApiKey.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import { formatApiKey } from "./apiKeys.js";
+
+// Days between the deletion request and anonymization (user can cancel meanwhile)
+export const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+export const DELETED_USER_NAME = "Deleted user";
+
+const UPLOADS_DIR = path.resolve("uploads");
+
+/* ---------------------------------------------------------
+   DATA EXPORT — everything we hold about one user, as JSON
+   (secrets such as password / 2FA / token hashes are left out)
+----------------------------------------------------------*/
+export const buildAccountExport = async (userId) => {
+  const user = await User.findById(userId)
+    .select("-password -connections")
+    .populate("suspension.by", "name")
+    .lean();
+  if (!user) return null;
+
+  const [
+    connections,
+    messages,
+    requirements,
+    proposals,
+    questions,
+    projects,
+    reviewsWritten,
+    reviewsReceived,
+    notifications,
+    hires,
+    testimonials,
+    sessions,
+    apiKeys,
+    attachments,
+    disputes,
+  ] = await Promise.all([
+    User.findById(userId).select("connections").populate("connections", "name role").lean(),
+    Message.find({ $or: [{ sender: userId }, { receiver: userId }] })
+      .sort({ createdAt: 1 })
+      .lean(),
+    Requirement.find({ $or: [{ client: userId }, { developer: userId }] }).lean(),
+    Proposal.find({ developer: userId }).lean(),
+    RequirementQuestion.find({ asker: userId }).lean(),
+    Project.find({ $or: [{ client: userId }, { developer: userId }] }).lean(),
+    Review.find({ client: userId }).lean(),
+    Review.find({ developer: userId }).lean(),
+    Notification.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Hire.find({ $or: [{ client: userId }, { developer: userId }] }).lean(),
+    Testimonial.find({ user: userId }).lean(),
+    Session.find({ user: userId }).select("device ip lastSeenAt createdAt revokedAt").lean(),
+    ApiKey.find({ user: userId }).lean(),
+    Attachment.find({ uploader: userId }).lean(),
+    Dispute.find({ $or: [{ openedBy: userId }, { "statements.author": userId }] }).lean(),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      pendingEmail: user.pendingEmail,
+      emailVerified: user.emailVerified !== false,
+      role: user.role,
+      technologies: user.technologies || [],
+      experience: user.experience ?? null,
+      charges: user.charges ?? null,
+      photo: user.photo || null,
+      requirementAlerts: user.requirementAlerts || null,
+      status: user.status || "active",
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      deletion: user.deletion || null,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    connections: (connections?.connections || []).map((c) => ({
+      id: c._id,
+      name: c.name,
+      role: c.role,
+    })),
+    messages: messages.map((m) => ({
+      id: m._id,
+      direction: String(m.sender) === String(userId) ? "sent" : "received",
+      with: String(m.sender) === String(userId) ? m.receiver : m.sender,
+      message: m.message,
+      read: m.read,
+      createdAt: m.createdAt,
+    })),
+    requirements,
+    proposals,
+    questions,
+    projects,
+    reviews: { written: reviewsWritten, received: reviewsReceived },
+    notifications,
+    hires,
+    testimonials,
+    sessions,
+    apiKeys: apiKeys.map(formatApiKey),
+    attachments: attachments.map((a) => ({
+      id: a._id,
+      resourceType: a.resourceType,
+      resource: a.resource,
+      originalName: a.originalName,
+      mimeType: a.mimeType,
+      size: a.size,
+      createdAt: a.createdAt,
+    })),
+    disputes,
+  };
+};
+
+/* ---------------------------------------------------------
+   ANONYMIZE — runs once the grace period is over.
+   Projects, requirements, reviews, hires and messages stay for
+   the other party; they now point at a "Deleted user".
+----------------------------------------------------------*/
+export const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.status === "deleted") return null;
+
+  const originalEmail = user.email;
+  const placeholderEmail = `deleted-${user._id}@deleted.invalid`;
+  const photo = user.photo;
+
+  user.name = DELETED_USER_NAME;
+  user.email = placeholderEmail;
+  user.pendingEmail = null;
+  user.emailVerified = false;
+  user.password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+  user.resetPasswordToken = null;
+  user.resetPasswordExpires = null;
+  user.technologies = [];
+  user.experience = undefined;
+  user.charges = undefined;
+  user.photo = "";
+  user.connections = [];
+  user.requirementAlerts = { enabled: false };
+  user.twoFactor = { enabled: false };
+  user.status = "deleted";
+  user.deletedAt = new Date();
+  user.deletion = { requestedAt: user.deletion?.requestedAt || null, scheduledFor: null };
+  await user.save();
+
+  await Promise.all([
+    User.updateMany({ connections: user._id }, { $pull: { connections: user._id } }),
+    Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() }),
+    ApiKey.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() }),
+    Notification.deleteMany({ $or: [{ user: user._id }, { userEmail: originalEmail }] }),
+    Testimonial.deleteMany({ user: user._id }),
+    LoginAttempt.deleteMany({ $or: [{ user: user._id }, { identifier: originalEmail }] }),
+  ]);
+
+  // Profile photo lives on disk under /uploads
+  if (photo?.startsWith("/uploads/")) {
+    const file = path.join(UPLOADS_DIR, path.basename(photo));
+    await fs.unlink(file).catch(() => {});
+  }
+
+  return user;
+};
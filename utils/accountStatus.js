@@ -0,0 +1,48 @@
+/* ---------------------------------------------------------
+   ACCOUNT STATUS (suspension / ban)
+   A suspension with an `until` date in the past no longer
+   applies — no job is needed to lift it.
+----------------------------------------------------------*/
+
+// → null when the account may be used, otherwise { status, reason, until }
+export const getRestriction = (user) => {
+  if (!user || !["suspended", "banned", "deleted"].includes(user.status)) return null;
+  if (user.status === "deleted") return { status: "deleted", reason: "", until: null };
+
+  const until = user.suspension?.until ? new Date(user.suspension.until) : null;
+  if (user.status === "suspended" && until && until <= new Date()) return null;
+
+  return {
+    status: user.status,
+    reason: user.suspension?.reason || "",
+    until: user.status === "suspended" ? until : null,
+  };
+};
+
+export const restrictionMessage = (restriction) => {
+  if (restriction.status === "deleted") return "This account has been deleted";
+  if (restriction.status === "banned") return "This account has been banned";
+  return restriction.until
+    ? `This account is suspended until ${restriction.until.toISOString()}`
+    : "This account is suspended";
+};
+
+export const rejectRestricted = (res, restriction) =>
+  res.status(403).json({
+    success: false,
+    code: `ACCOUNT_${restriction.status.toUpperCase()}`,
+    message: restrictionMessage(restriction),
+    reason: restriction.reason,
+    until: restriction.until,
+  });
+
+// Mongo filter for accounts that should appear in public listings / search
+export const visibleAccountFilter = () => ({
+  $nor: [
+    { status: { $in: ["banned", "deleted"] } },
+    {
+      status: "suspended",
+      $or: [{ "suspension.until": null }, { "suspension.until": { $gt: new Date() } }],
+    },
+  ],
+});
@@ -0,0 +1,58 @@
+import crypto from "crypto";
+import ApiKey from "../models/ApiKey.js";
+import { hashToken } from "./session.js";
+
+// Recognisable prefix so keys can be told apart from JWTs (and found by secret scanners)
+export const API_KEY_PREFIX = "cc_";
+
+export const API_KEY_SCOPES = ["read", "write"];
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Only write lastUsedAt once a minute
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+export const isApiKey = (value) => typeof value === "string" && value.startsWith(API_KEY_PREFIX);
+
+export const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashToken(key),
+  };
+};
+
+/* ---------------------------------------------------------
+   Resolve a raw key → active ApiKey document (or null)
+----------------------------------------------------------*/
+export const findActiveApiKey = async (rawKey, ip = "") => {
+  if (!isApiKey(rawKey)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey), revokedAt: null });
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_THROTTLE_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip }).catch(
+      (err) => console.warn("⚠️ API key touch failed:", err.message)
+    );
+  }
+
+  return apiKey;
+};
+
+// Does this key's scope cover the HTTP method?
+export const scopeAllows = (apiKey, method) =>
+  apiKey.scopes.includes("write") ||
+  (apiKey.scopes.includes("read") && SAFE_METHODS.includes(String(method).toUpperCase()));
+
+export const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  expiresAt: apiKey.expiresAt,
+  createdAt: apiKey.createdAt,
+});
@@ -0,0 +1,202 @@
+import path from "path";
+import crypto from "crypto";
+import multer from "multer";
+import Attachment from "../models/Attachment.js";
+import Requirement from "../models/Requirement.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import Dispute from "../models/Dispute.js";
+import storage, { createStorageKey } from "./storage.js";
+import { can } from "./permissions.js";
+import { getRestriction } from "./accountStatus.js";
+import { canViewDispute, isDisputeOpen } from "./disputes.js";
+
+/* ---------------------------------------------------------
+   ATTACHMENTS — files on requirements, projects and chat
+----------------------------------------------------------*/
+export const ATTACHMENT_MAX_MB = Number(process.env.ATTACHMENT_MAX_MB) || 10;
+export const MAX_FILES_PER_UPLOAD = 5;
+export const RESOURCE_TYPES = ["requirement", "project", "chat", "dispute"];
+
+// extension → accepted MIME types (both must match)
+const ALLOWED_TYPES = {
+  ".png": ["image/png"],
+  ".jpg": ["image/jpeg"],
+  ".jpeg": ["image/jpeg"],
+  ".gif": ["image/gif"],
+  ".webp": ["image/webp"],
+  ".pdf": ["application/pdf"],
+  ".txt": ["text/plain"],
+  ".md": ["text/markdown", "text/plain"],
+  ".csv": ["text/csv", "application/vnd.ms-excel", "text/plain"],
+  ".json": ["application/json"],
+  ".zip": ["application/zip", "application/x-zip-compressed"],
+  ".doc": ["application/msword"],
+  ".docx": ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  ".xls": ["application/vnd.ms-excel"],
+  ".xlsx": ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+  ".ppt": ["application/vnd.ms-powerpoint"],
+  ".pptx": ["application/vnd.openxmlformats-officedocument.presentationml.presentation"],
+};
+
+export const isAllowedFile = (originalName, mimeType) =>
+  !!ALLOWED_TYPES[path.extname(originalName || "").toLowerCase()]?.includes(mimeType);
+
+// Files stay in memory until validated, then go to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_MB * 1024 * 1024, files: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (isAllowedFile(file.originalname, file.mimetype)) return cb(null, true);
+    const err = new Error(`File type not allowed: ${file.originalname}`);
+    err.code = "FILE_TYPE_NOT_ALLOWED";
+    cb(err);
+  },
+});
+
+// multipart "files" field → req.files, with readable errors
+export const receiveFiles = (req, res, next) =>
+  upload.array("files", MAX_FILES_PER_UPLOAD)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === "LIMIT_FILE_SIZE")
+      return res
+        .status(413)
+        .json({ success: false, message: `Files must be at most ${ATTACHMENT_MAX_MB} MB` });
+    if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE")
+      return res.status(400).json({
+        success: false,
+        message: `Upload up to ${MAX_FILES_PER_UPLOAD} files in the "files" field`,
+      });
+    if (err.code === "FILE_TYPE_NOT_ALLOWED")
+      return res.status(415).json({ success: false, message: err.message });
+
+    console.error("❌ Attachment upload error:", err.message);
+    return res.status(400).json({ success: false, message: "Upload failed" });
+  });
+
+/* ---------------------------------------------------------
+   Resources & access
+----------------------------------------------------------*/
+export const loadResource = (resourceType, id) => {
+  if (resourceType === "requirement") return Requirement.findOne({ _id: id, deletedAt: null });
+  if (resourceType === "project") return Project.findById(id);
+  if (resourceType === "chat") return User.findById(id).select("name role status suspension");
+  if (resourceType === "dispute")
+    return Dispute.findById(id).populate("project", "client developer");
+  return null;
+};
+
+// Chat files: only the two people in the conversation
+const inConversation = (user, attachment) =>
+  [String(attachment.uploader?._id ?? attachment.uploader), String(attachment.resource)].includes(
+    String(user._id)
+  );
+
+// Dispute files: its parties and admins — none once the project is gone
+const canSeeDispute = (user, dispute) =>
+  !!dispute.project && canViewDispute(user, dispute, dispute.project);
+
+export const canViewResource = (user, resourceType, resource) => {
+  if (resourceType === "requirement") return true; // requirements are visible to every user
+  if (resourceType === "project") return can(user, "project.view", resource);
+  if (resourceType === "dispute") return canSeeDispute(user, resource);
+  return true; // chat → listings are filtered to the caller's conversation
+};
+
+export const canUploadTo = (user, resourceType, resource) => {
+  if (resourceType === "requirement") return can(user, "requirement.update", resource);
+  if (resourceType === "project") return can(user, "project.attach", resource);
+  if (resourceType === "dispute")
+    return isDisputeOpen(resource) && canSeeDispute(user, resource);
+  return String(resource._id) !== String(user._id) && !getRestriction(resource);
+};
+
+export const canViewAttachment = async (user, attachment) => {
+  if (attachment.resourceType === "chat") return inConversation(user, attachment);
+
+  const resource = await loadResource(attachment.resourceType, attachment.resource);
+  return !!resource && canViewResource(user, attachment.resourceType, resource);
+};
+
+/* ---------------------------------------------------------
+   Store / remove
+----------------------------------------------------------*/
+export const storeFiles = async (files, { resourceType, resource, uploader }) => {
+  const keys = [];
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const storageKey = createStorageKey(file.originalname);
+      await storage.put(storageKey, file.buffer);
+      keys.push(storageKey);
+
+      attachments.push(
+        await Attachment.create({
+          resourceType,
+          resource,
+          uploader,
+          originalName: path.basename(file.originalname),
+          mimeType: file.mimetype,
+          size: file.size,
+          checksum: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+          storageKey,
+        })
+      );
+    }
+  } catch (err) {
+    // Nothing half-saved: drop whatever already made it to storage / the DB
+    await Promise.all(keys.map((key) => storage.remove(key).catch(() => {})));
+    await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+    throw err;
+  }
+
+  return attachments;
+};
+
+export const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select("+storageKey");
+
+  for (const attachment of attachments) {
+    try {
+      await storage.remove(attachment.storageKey);
+    } catch (err) {
+      console.error(`⚠️ Could not remove file for attachment ${attachment._id}:`, err.message);
+    }
+  }
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map((a) => a._id) } });
+  return attachments.length;
+};
+
+export const formatAttachment = (attachment) => ({
+  _id: attachment._id,
+  resourceType: attachment.resourceType,
+  resource: attachment.resource,
+  message: attachment.message,
+  uploader: attachment.uploader,
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  createdAt: attachment.createdAt,
+  url: `/api/attachments/${attachment._id}/download`,
+});
+
+/* ---------------------------------------------------------
+   Chat: files the sender uploaded for this receiver and
+   hasn't sent yet → ids that can go on a new message
+----------------------------------------------------------*/
+export const pendingChatAttachments = async (ids, { sender, receiver }) => {
+  if (!Array.isArray(ids) || !ids.length) return [];
+
+  const attachments = await Attachment.find({
+    _id: { $in: ids.slice(0, MAX_FILES_PER_UPLOAD) },
+    resourceType: "chat",
+    resource: receiver,
+    uploader: sender,
+    message: null,
+  }).select("_id");
+
+  return attachments.map((a) => a._id);
+};
@@ -0,0 +1,155 @@
+import AuditLog from "../models/AuditLog.js";
+import { getClientIp } from "./session.js";
+
+// Never copied into an audit entry, whatever the caller passes
+const REDACTED_FIELDS = [
+  "password",
+  "resetPasswordToken",
+  "refreshTokenHash",
+  "keyHash",
+  "twoFactor",
+];
+
+const plain = (value) => {
+  if (!value) return null;
+  const obj = typeof value.toObject === "function" ? value.toObject() : { ...value };
+  for (const field of REDACTED_FIELDS) delete obj[field];
+  return obj;
+};
+
+// Keep only the keys whose value actually changed
+const diff = (before, after) => {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changed = { before: {}, after: {} };
+
+  for (const key of keys) {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+    changed.before[key] = before[key] ?? null;
+    changed.after[key] = after[key] ?? null;
+  }
+
+  return changed;
+};
+
+/* ---------------------------------------------------------
+   Record an audit entry for the current request.
+   Never throws — a failed audit write must not break the action.
+
+   recordAudit(req, {
+     action: "user.role.update",
+     target: userDoc, targetType: "user",
+     before: { role: "client" }, after: { role: "admin" },
+     metadata: { ... },
+   })
+
+   Pass `before` only for deletions, `after` only for creations.
+----------------------------------------------------------*/
+export const recordAudit = async (
+  req,
+  {
+    action,
+    target = null,
+    targetType = null,
+    targetLabel = "",
+    before = null,
+    after = null,
+    metadata = null,
+    actor = null,
+  }
+) => {
+  try {
+    const who = actor || req?.user || null;
+
+    let changes = { before: plain(before), after: plain(after) };
+    if (changes.before && changes.after) changes = diff(changes.before, changes.after);
+
+    return await AuditLog.create({
+      actor: who?._id || null,
+      actorEmail: who?.email || "",
+      actorRole: who?.role || "",
+      impersonatedBy: req?.user?.impersonatedBy || null,
+      action,
+      targetType,
+      target: target?._id || target || null,
+      targetLabel: targetLabel || target?.email || target?.title || "",
+      before: changes.before,
+      after: changes.after,
+      metadata,
+      ip: req ? getClientIp(req) : "",
+      userAgent: req?.headers?.["user-agent"] || "",
+    });
+  } catch (err) {
+    console.error(`⚠️ Audit log failed (${action}):`, err.message);
+    return null;
+  }
+};
+
+/* ---------------------------------------------------------
+   Query helpers (admin audit view / CSV export)
+----------------------------------------------------------*/
+
+// actor: user id or email · action: exact, or "user.*" for a prefix
+// from / to: anything Date understands
+export const buildAuditQuery = ({ actor, action, targetType, target, from, to } = {}) => {
+  const query = {};
+
+  if (actor) {
+    if (/^[a-f\d]{24}$/i.test(actor)) query.actor = actor;
+    else query.actorEmail = String(actor).trim().toLowerCase();
+  }
+
+  if (action) {
+    const value = String(action).trim();
+    query.action = value.endsWith("*")
+      ? { $regex: `^${value.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` }
+      : value;
+  }
+
+  if (targetType) query.targetType = targetType;
+  if (target && /^[a-f\d]{24}$/i.test(target)) query.target = target;
+
+  const range = {};
+  if (from && !Number.isNaN(Date.parse(from))) range.$gte = new Date(from);
+  if (to && !Number.isNaN(Date.parse(to))) range.$lte = new Date(to);
+  if (Object.keys(range).length) query.createdAt = range;
+
+  return query;
+};
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "action",
+  "actorEmail",
+  "actorRole",
+  "actor",
+  "impersonatedBy",
+  "targetType",
+  "target",
+  "targetLabel",
+  "before",
+  "after",
+  "metadata",
+  "ip",
+  "userAgent",
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object" && !value._bsontype
+      ? JSON.stringify(value)
+      : String(value);
+
+  // Don't let spreadsheet apps evaluate cells as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const auditLogsToCsv = (entries) =>
+  [
+    CSV_COLUMNS.join(","),
+    ...entries.map((entry) => CSV_COLUMNS.map((col) => csvCell(entry[col])).join(",")),
+  ].join("\r\n");
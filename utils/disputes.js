@@ -0,0 +1,66 @@
+import Attachment from "../models/Attachment.js";
+import { notifyUser } from "./notify.js";
+import { can } from "./permissions.js";
+import { projectSideOf } from "./projectStatus.js";
+
+/* ---------------------------------------------------------
+   DISPUTES — client ↔ developer disagreements an admin settles
+----------------------------------------------------------*/
+export const OPEN_DISPUTE_STATUSES = ["open", "under-review"];
+export const DISPUTE_OUTCOMES = ["completed", "cancelled", "in-progress"];
+
+const MAX_STATEMENT = 5000;
+
+export const isDisputeOpen = (dispute) => OPEN_DISPUTE_STATUSES.includes(dispute?.status);
+
+// Parties of the disputed project, plus admins
+export const canViewDispute = (user, dispute, project) =>
+  can(user, "dispute.manage") || ["client", "developer"].includes(projectSideOf(user, project));
+
+// Trimmed, non-empty, not too long → { text } | { error }
+export const readStatement = (value, label = "Statement") => {
+  const text = String(value || "").trim();
+  if (!text) return { error: `${label} is required` };
+  if (text.length > MAX_STATEMENT)
+    return { error: `${label} must be at most ${MAX_STATEMENT} characters` };
+  return { text };
+};
+
+// Attachment ids uploaded to this dispute (anything else is dropped)
+export const disputeAttachments = async (ids, dispute) => {
+  if (!Array.isArray(ids) || !ids.length) return [];
+
+  const attachments = await Attachment.find({
+    _id: { $in: ids.slice(0, 10) },
+    resourceType: "dispute",
+    resource: dispute._id,
+  }).select("_id");
+
+  return attachments.map((a) => a._id);
+};
+
+/* ---------------------------------------------------------
+   Notify the project's participants (and the assigned admin)
+   and push "dispute:updated" to their rooms
+----------------------------------------------------------*/
+export const notifyDisputeParties = async (io, dispute, project, message, { skip = null } = {}) => {
+  const ids = [project.client, project.developer, dispute.assignedTo]
+    .map((u) => u?._id ?? u)
+    .filter(Boolean)
+    .map(String);
+
+  for (const id of new Set(ids)) {
+    if (skip && id === String(skip)) continue;
+
+    try {
+      await notifyUser(io, { _id: id }, {
+        message,
+        type: "project",
+        link: `/disputes/${dispute._id}`,
+      });
+    } catch (err) {
+      console.error("⚠️ Dispute notification failed:", err.message);
+    }
+    io?.to(id).emit("dispute:updated", { id: dispute._id, status: dispute.status });
+  }
+};
@@ -0,0 +1,41 @@
+import { notifyUser } from "./notify.js";
+
+// Statuses in which a hire can still be negotiated, accepted, withdrawn or expire
+export const OPEN_HIRE_STATUSES = ["pending", "negotiating"];
+
+// Open and not past its expiry (the job may not have run yet)
+export const isHireOpen = (hire) =>
+  OPEN_HIRE_STATUSES.includes(hire.status) && !(hire.expiresAt && hire.expiresAt <= new Date());
+
+// Profile data shown alongside a hire request
+const PARTY_FIELDS = "name email photo technologies experience charges role";
+
+// Works on a query or on a document
+export const populateHireParties = (target) =>
+  target.populate([
+    { path: "client", select: PARTY_FIELDS },
+    { path: "developer", select: PARTY_FIELDS },
+  ]);
+
+/* ---------------------------------------------------------
+   Notify one or both parties ({ client?, developer? } messages)
+   and push the fresh, populated hire to both socket rooms.
+----------------------------------------------------------*/
+export const notifyHireParties = async (io, hire, messages = {}) => {
+  await populateHireParties(hire);
+
+  for (const side of ["client", "developer"]) {
+    const user = hire[side];
+    if (!user?._id) continue;
+
+    if (messages[side]) {
+      try {
+        await notifyUser(io, user, { message: messages[side], type: "hire", link: "/hire" });
+      } catch (err) {
+        console.error("⚠️ Hire notification failed:", err.message);
+      }
+    }
+
+    io?.to(String(user._id)).emit("hire:updated", hire);
+  }
+};
@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Invitation from "../models/Invitation.js";
+import { hashToken } from "./session.js";
+import { sendEmail } from "./sendEmail.js";
+
+const INVITE_SECRET = process.env.INVITE_SECRET || process.env.JWT_SECRET;
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+
+export const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+
+/* ---------------------------------------------------------
+   INVITE LINKS
+   The link carries a signed { iid, nonce }; only the nonce hash
+   is stored, so resending (new nonce) kills the previous link.
+----------------------------------------------------------*/
+const issueToken = (invitation) => {
+  const nonce = crypto.randomBytes(24).toString("hex");
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  invitation.tokenHash = hashToken(nonce);
+  invitation.expiresAt = expiresAt;
+
+  return jwt.sign({ iid: String(invitation._id), nonce, purpose: "invite" }, INVITE_SECRET, {
+    expiresIn: `${INVITATION_TTL_DAYS}d`,
+  });
+};
+
+// (Re)issue the link and email it
+export const sendInvitation = async (invitation, inviter) => {
+  const token = issueToken(invitation);
+  invitation.sentAt = new Date();
+  invitation.sendCount = (invitation.sendCount || 0) + 1;
+  await invitation.save();
+
+  const link = `${CLIENT_URL}/accept-invite?token=${token}`;
+
+  await sendEmail(
+    invitation.email,
+    "You're invited to CodeCommunity",
+    `<p>${inviter?.name || "The CodeCommunity team"} invited you to join CodeCommunity as <b>${
+      invitation.role
+    }</b>.</p>
+     <a href="${link}">Create your account</a>
+     <p>This link expires in ${INVITATION_TTL_DAYS} days and can only be used once.</p>`
+  );
+
+  return invitation;
+};
+
+// → the pending invitation the token belongs to, or null
+export const findInvitationByToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, INVITE_SECRET);
+  } catch {
+    return null;
+  }
+
+  if (decoded.purpose !== "invite" || !decoded.iid || !decoded.nonce) return null;
+
+  const invitation = await Invitation.findOne({
+    _id: decoded.iid,
+    tokenHash: hashToken(decoded.nonce),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).catch(() => null);
+
+  return invitation ? { invitation, nonceHash: hashToken(decoded.nonce) } : null;
+};
+
+// Atomic single-use claim → false if the link was already used / revoked meanwhile
+export const claimInvitation = async ({ invitation, nonceHash }) => {
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, tokenHash: nonceHash, acceptedAt: null, revokedAt: null },
+    { acceptedAt: new Date() }
+  );
+  return !!claimed;
+};
+
+// Undo a claim when the account could not be created
+export const releaseInvitation = (invitation) =>
+  Invitation.updateOne({ _id: invitation._id, acceptedBy: null }, { acceptedAt: null });
@@ -0,0 +1,226 @@
+import LoginAttempt from "../models/LoginAttempt.js";
+import User from "../models/User.js";
+import { sendEmail } from "./sendEmail.js";
+import { notifyUser } from "./notify.js";
+
+/* ---------------------------------------------------------
+   LIMITS PER SCOPE
+   freeAttempts → failures allowed before delays kick in
+   maxFailures  → failures before a temporary lockout
+                  (null → throttle only: delays, never a lockout)
+----------------------------------------------------------*/
+const LIMITS = {
+  login: {
+    account: { freeAttempts: 3, maxFailures: 8 },
+    ip: { freeAttempts: 10, maxFailures: 30 },
+  },
+  // Anyone can ask for someone else's reset link → never lock the account
+  // (or email its owner) over it, just slow the requests down
+  "forgot-password": {
+    account: { freeAttempts: 2, maxFailures: null },
+    ip: { freeAttempts: 5, maxFailures: 20 },
+  },
+};
+
+const LOCK_MINUTES = Number(process.env.LOCKOUT_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 60;
+
+// Failures older than this no longer count
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+const keyFor = (scope, kind, identifier) => `${scope}:${kind}:${identifier}`;
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+const targetsFor = (scope, { email, ip }) =>
+  [
+    email && { kind: "account", identifier: normalizeEmail(email) },
+    ip && { kind: "ip", identifier: ip },
+  ]
+    .filter(Boolean)
+    .map((t) => ({ ...t, key: keyFor(scope, t.kind, t.identifier) }));
+
+// 1s, 2s, 4s, ... capped at MAX_DELAY_SECONDS
+const delayFor = (failures, freeAttempts) =>
+  failures < freeAttempts
+    ? 0
+    : Math.min(2 ** (failures - freeAttempts), MAX_DELAY_SECONDS);
+
+/* ---------------------------------------------------------
+   CHECK — call before processing the attempt
+   → { allowed: true } or { allowed: false, locked, retryAfter }
+----------------------------------------------------------*/
+export const checkAttempt = async (scope, { email, ip }) => {
+  const now = Date.now();
+  const keys = targetsFor(scope, { email, ip }).map((t) => t.key);
+  const records = await LoginAttempt.find({ key: { $in: keys } }).lean();
+
+  let blocked = null;
+
+  for (const r of records) {
+    const lockedMs = r.lockedUntil ? new Date(r.lockedUntil).getTime() - now : 0;
+    const delayMs = r.nextAttemptAt ? new Date(r.nextAttemptAt).getTime() - now : 0;
+    const waitMs = Math.max(lockedMs, delayMs);
+
+    if (waitMs > 0 && (!blocked || waitMs > blocked.waitMs)) {
+      blocked = { waitMs, locked: lockedMs > 0 };
+    }
+  }
+
+  if (!blocked) return { allowed: true };
+
+  return {
+    allowed: false,
+    locked: blocked.locked,
+    retryAfter: Math.ceil(blocked.waitMs / 1000),
+  };
+};
+
+/* ---------------------------------------------------------
+   429 RESPONSE for a blocked attempt
+----------------------------------------------------------*/
+export const rejectThrottled = (res, { locked, retryAfter }) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    locked,
+    retryAfter,
+    message: locked
+      ? `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      : `Too many failed attempts. Try again in ${retryAfter} second(s).`,
+  });
+};
+
+/* ---------------------------------------------------------
+   LOCKOUT NOTICE → email + in-app notification to the owner
+----------------------------------------------------------*/
+const notifyLockout = async (io, user, scope) => {
+  const what = scope === "login" ? "sign-in" : "password reset";
+  const message = `🔒 Your account was temporarily locked for ${LOCK_MINUTES} minutes after repeated failed ${what} attempts. If this wasn't you, consider changing your password.`;
+
+  try {
+    await notifyUser(io, user, { message, type: "security" });
+    await sendEmail(
+      user.email,
+      "Account temporarily locked - CodeCommunity",
+      `<p>Hello ${user.name},</p><p>${message}</p>`
+    );
+  } catch (err) {
+    console.error("⚠️ Lockout notification failed:", err.message);
+  }
+};
+
+/* ---------------------------------------------------------
+   Atomic failure bump → the updated record
+   (parallel attempts each count; concurrent first failures
+   for a new key retry once on the duplicate-key race)
+----------------------------------------------------------*/
+const bumpFailures = async (scope, target, now) => {
+  // Old failures expire (only matches while nothing recent was recorded)
+  await LoginAttempt.updateOne(
+    { key: target.key, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+    { failures: 0 }
+  );
+
+  const bump = () =>
+    LoginAttempt.findOneAndUpdate(
+      { key: target.key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now },
+        $setOnInsert: { scope, kind: target.kind, identifier: target.identifier },
+      },
+      { upsert: true, new: true }
+    );
+
+  try {
+    return await bump();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return bump();
+  }
+};
+
+/* ---------------------------------------------------------
+   RECORD FAILURE — bumps counters, applies delay / lockout
+   (for forgot-password every request counts as an attempt)
+----------------------------------------------------------*/
+export const recordFailure = async (scope, { email, ip }, { io } = {}) => {
+  const now = new Date();
+
+  for (const target of targetsFor(scope, { email, ip })) {
+    const limits = LIMITS[scope][target.kind];
+    let record = await bumpFailures(scope, target, now);
+
+    if (target.kind === "account" && !record.user) {
+      const user = await User.findOne({ email: target.identifier }).select("_id");
+      if (user) await LoginAttempt.updateOne({ _id: record._id }, { user: user._id });
+      record.user = user?._id || null;
+    }
+
+    let lockedNow = false;
+
+    if (limits.maxFailures && record.failures >= limits.maxFailures) {
+      // Only the attempt that wins this update starts the lockout
+      const locked = await LoginAttempt.findOneAndUpdate(
+        { _id: record._id, failures: { $gte: limits.maxFailures } },
+        {
+          $set: {
+            lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000),
+            failures: 0,
+            nextAttemptAt: null,
+          },
+          $inc: { lockouts: 1 },
+        },
+        { new: true }
+      );
+      if (locked) {
+        record = locked;
+        lockedNow = true;
+      }
+    } else {
+      const delay = delayFor(record.failures, limits.freeAttempts);
+      if (delay) {
+        // $max → a slower parallel attempt never shortens the wait
+        await LoginAttempt.updateOne(
+          { _id: record._id },
+          { $max: { nextAttemptAt: new Date(now.getTime() + delay * 1000) } }
+        );
+      }
+    }
+
+    if (lockedNow) {
+      console.warn(`🔒 Lockout (${scope}) for ${target.kind} ${target.identifier}`);
+
+      if (target.kind === "account" && record.user) {
+        const owner = await User.findById(record.user).select("name email");
+        if (owner) await notifyLockout(io, owner, scope);
+      }
+    }
+  }
+};
+
+/* ---------------------------------------------------------
+   SUCCESS — clear the account counter (IP counter stays, so
+   one good account can't be used to reset a spraying IP)
+----------------------------------------------------------*/
+export const clearFailures = async (scope, { email }) => {
+  if (!email) return;
+  await LoginAttempt.deleteOne({ key: keyFor(scope, "account", normalizeEmail(email)) });
+};
+
+/* ---------------------------------------------------------
+   ADMIN HELPERS
+----------------------------------------------------------*/
+export const listLockouts = ({ activeOnly = true } = {}) => {
+  const query = activeOnly
+    ? { lockedUntil: { $gt: new Date() } }
+    : { $or: [{ lockedUntil: { $ne: null } }, { failures: { $gt: 0 } }] };
+
+  return LoginAttempt.find(query)
+    .populate("user", "name email role")
+    .sort({ updatedAt: -1 })
+    .lean();
+};
+
+export const clearLockout = (id) => LoginAttempt.findByIdAndDelete(id);
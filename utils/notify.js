@@ -0,0 +1,20 @@
+import Notification from "../models/Notification.js";
+
+/* ---------------------------------------------------------
+   Persist a notification for one user and push it to their
+   socket room. `user` needs at least `_id` (email optional).
+----------------------------------------------------------*/
+export const notifyUser = async (io, user, { message, type = "system", link = null }) => {
+  const notification = await Notification.create({
+    user: user._id,
+    userEmail: user.email,
+    message,
+    type,
+    link,
+    read: false,
+  });
+
+  io?.to(String(user._id)).emit("notification:new", notification);
+
+  return notification;
+};
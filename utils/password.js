@@ -0,0 +1,15 @@
+/* ---------------------------------------------------------
+   PASSWORD RULES (registration, reset, profile change)
+----------------------------------------------------------*/
+const PASSWORD_RULES = /^(?=.*[A-Z])(?=.*\W).{8,}$/;
+
+export const PASSWORD_RULES_MESSAGE =
+  "Password must be at least 8 characters, include one uppercase letter and one special character.";
+
+// Returns an error message, or null when the password is acceptable
+export const validatePassword = (password) => {
+  if (typeof password !== "string" || !PASSWORD_RULES.test(password)) {
+    return PASSWORD_RULES_MESSAGE;
+  }
+  return null;
+};
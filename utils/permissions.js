@@ -0,0 +1,158 @@
+/* ---------------------------------------------------------
+   PERMISSION REGISTRY
+   action → { role: true | (user, resource) => boolean }
+
+   true      → role may perform the action on any resource
+   function  → ownership rule, checked against the resource
+   (missing) → role may not perform the action
+----------------------------------------------------------*/
+const ANY = true;
+
+const sameId = (a, b) => !!a && !!b && String(a._id ?? a) === String(b._id ?? b);
+
+// resource[field] points at the caller
+const owns = (field) => (user, resource) => sameId(user._id, resource?.[field]);
+
+// Admins may only manage plain developer/client accounts
+const isPlainUser = (user, target) => !["admin", "superadmin"].includes(target?.role);
+const isNotSuperAdmin = (user, target) => target?.role !== "superadmin";
+
+// Hire negotiation: caller is `side` of the hire and it's their turn
+const hireTurn = (side) => (user, hire) =>
+  sameId(user._id, hire?.[side]) && hire?.awaiting === side;
+
+export const PERMISSIONS = {
+  // 🛠 Admin panel
+  "admin.access": { admin: ANY, superadmin: ANY },
+  "stats.view": { admin: ANY, superadmin: ANY },
+  "settings.view": { admin: ANY, superadmin: ANY },
+  "settings.update": { superadmin: ANY },
+  "lockout.manage": { admin: ANY, superadmin: ANY },
+  "audit.view": { admin: ANY, superadmin: ANY },
+
+  // 👥 Users
+  "user.list": { admin: ANY, superadmin: ANY },
+  "user.viewSuperAdmin": { superadmin: ANY },
+  "user.changeRole": { admin: isPlainUser, superadmin: isNotSuperAdmin },
+  "user.assignAdmin": { superadmin: ANY },
+  "user.delete": { admin: isPlainUser, superadmin: isNotSuperAdmin },
+  "user.impersonate": { superadmin: isNotSuperAdmin },
+  "user.suspend": { admin: isPlainUser, superadmin: isNotSuperAdmin },
+  "invitation.manage": { superadmin: ANY },
+
+  // 🤝 Hire requests
+  "hire.create": { client: ANY },
+  "hire.viewAll": { admin: ANY, superadmin: ANY },
+  // clients withdraw instead, so the negotiation history is kept
+  "hire.delete": { admin: ANY, superadmin: ANY },
+  // accept / reject the current terms — only the party whose turn it is
+  "hire.respond": {
+    client: hireTurn("client"),
+    developer: hireTurn("developer"),
+    admin: ANY,
+    superadmin: ANY,
+  },
+  "hire.withdraw": { client: owns("client") },
+  "hire.negotiate": {
+    client: hireTurn("client"),
+    developer: hireTurn("developer"),
+  },
+
+  // 📋 Requirements
+  "requirement.create": { client: ANY },
+  "requirement.viewAll": { admin: ANY, superadmin: ANY },
+  "requirement.update": { client: owns("client") },
+  "requirement.delete": { client: owns("client"), admin: ANY, superadmin: ANY },
+
+  // 📨 Proposals (bids) — list / shortlist / award are checked against the requirement
+  "proposal.create": { developer: ANY },
+  "proposal.list": { client: owns("client"), admin: ANY, superadmin: ANY },
+  "proposal.award": { client: owns("client") },
+  "proposal.update": { developer: owns("developer") },
+
+  // ❓ Requirement Q&A — answer / moderate are checked against the requirement
+  "question.ask": { developer: ANY },
+  "question.answer": { client: owns("client") },
+  "question.moderate": { client: owns("client"), admin: ANY, superadmin: ANY },
+
+  // 📁 Projects
+  "project.viewAll": { admin: ANY, superadmin: ANY },
+  "project.view": {
+    client: owns("client"),
+    developer: owns("developer"),
+    admin: ANY,
+    superadmin: ANY,
+  },
+  // completion: developer requests, client accepts / rejects (see utils/projectStatus.js)
+  "project.requestCompletion": { developer: owns("developer") },
+  "project.complete": { client: owns("client"), admin: ANY, superadmin: ANY },
+  "project.requestCancellation": { client: owns("client"), developer: owns("developer") },
+  "project.attach": { client: owns("client"), developer: owns("developer") },
+
+  // 🎯 Milestones — the client plans and reviews, the developer delivers
+  "milestone.manage": { client: owns("client") },
+  "milestone.submit": { developer: owns("developer") },
+  "milestone.review": { client: owns("client") },
+  "project.delete": { client: owns("client"), admin: ANY, superadmin: ANY },
+
+  // ⭐ Reviews
+  "review.create": { client: ANY, developer: ANY, admin: ANY, superadmin: ANY },
+  "review.delete": { admin: ANY, superadmin: ANY },
+
+  // 🔔 Notifications
+  "notification.send": { admin: ANY, superadmin: ANY },
+  "notification.viewAll": { admin: ANY, superadmin: ANY },
+  "notification.read": {
+    client: owns("user"),
+    developer: owns("user"),
+    admin: owns("user"),
+    superadmin: owns("user"),
+  },
+  "notification.delete": {
+    client: owns("user"),
+    developer: owns("user"),
+    admin: ANY,
+    superadmin: ANY,
+  },
+
+  // 💬 Chat
+  "chat.viewAllUsers": { admin: ANY, superadmin: ANY },
+
+  // ⚖️ Disputes — opened on a project, handled from the admin queue
+  "dispute.open": { client: owns("client"), developer: owns("developer") },
+  "dispute.manage": { admin: ANY, superadmin: ANY },
+
+  // 📎 Attachments
+  "attachment.delete": {
+    client: owns("uploader"),
+    developer: owns("uploader"),
+    admin: ANY,
+    superadmin: ANY,
+  },
+};
+
+/* ---------------------------------------------------------
+   can(user, action, resource?)
+   Ownership rules need the resource; without one they deny.
+----------------------------------------------------------*/
+export const can = (user, action, resource = null) => {
+  const rules = PERMISSIONS[action];
+  if (!rules) throw new Error(`Unknown permission: ${action}`);
+
+  const rule = rules[user?.role];
+  if (!rule) return false;
+  if (rule === ANY) return true;
+
+  return !!resource && !!rule(user, resource);
+};
+
+/* ---------------------------------------------------------
+   Effective permissions for the frontend
+   → { "review.delete": "any", "project.complete": "own", ... }
+----------------------------------------------------------*/
+export const permissionsFor = (user) =>
+  Object.fromEntries(
+    Object.entries(PERMISSIONS)
+      .filter(([, rules]) => rules[user?.role])
+      .map(([action, rules]) => [action, rules[user.role] === ANY ? "any" : "own"])
+  );
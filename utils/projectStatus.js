@@ -0,0 +1,92 @@
+/* ---------------------------------------------------------
+   PROJECT STATUS STATE MACHINE
+   from → to → sides allowed to trigger it
+
+   client / developer → the project's own participants
+   admin              → admin or superadmin
+   system             → the server itself (hire accepted,
+                        last milestone approved, jobs…)
+
+   Project.status can only change through transitionProject();
+   the model rejects any other write.
+----------------------------------------------------------*/
+export const PROJECT_STATUSES = ["pending", "in-progress", "completed", "cancelled"];
+
+export const PROJECT_TRANSITIONS = {
+  pending: {
+    "in-progress": ["client", "developer", "admin", "system"],
+    cancelled: ["client", "admin", "system"], // system → both parties agreed
+  },
+  "in-progress": {
+    completed: ["client", "admin", "system"], // completion = client acceptance
+    cancelled: ["admin", "system"], // both parties agree, or an admin resolves a dispute
+  },
+  completed: {
+    "in-progress": ["admin"], // reopen
+  },
+  cancelled: {},
+};
+
+// Transitions that must say why
+const needsReason = (from, to) => to === "cancelled" || ["completed", "cancelled"].includes(from);
+
+// → "client" | "developer" | "admin" | "system" | null
+export const projectSideOf = (user, project) => {
+  if (!user) return "system";
+  if (["admin", "superadmin"].includes(user.role)) return "admin";
+
+  const id = String(user._id);
+  if (id === String(project.client?._id ?? project.client)) return "client";
+  if (id === String(project.developer?._id ?? project.developer)) return "developer";
+  return null;
+};
+
+// Statuses `user` could move the project to right now
+export const allowedTransitions = (project, user) => {
+  const side = projectSideOf(user, project);
+  return Object.entries(PROJECT_TRANSITIONS[project.status] || {})
+    .filter(([, sides]) => sides.includes(side))
+    .map(([to]) => to);
+};
+
+export const statusEntry = ({ from = null, to, actor = null, side = "system", reason = "" }) => ({
+  from,
+  to,
+  by: actor?._id ?? null,
+  side,
+  reason,
+  at: new Date(),
+});
+
+/* ---------------------------------------------------------
+   Move a project to `to` (caller saves)
+   actor: req.user, or null for the system
+   onBehalf: true → the system acts for `actor` (e.g. a cancellation
+   both parties agreed to); checked as "system", recorded with actor
+   → { ok: true } | { error, status }
+----------------------------------------------------------*/
+export const transitionProject = (
+  project,
+  to,
+  { actor = null, reason = "", onBehalf = false } = {}
+) => {
+  const from = project.status;
+  const side = onBehalf ? "system" : projectSideOf(actor, project);
+  const text = String(reason || "").trim();
+
+  if (!PROJECT_STATUSES.includes(to)) return { error: "Unknown project status", status: 400 };
+  if (from === to) return { error: `Project is already ${to}`, status: 400 };
+
+  const sides = PROJECT_TRANSITIONS[from]?.[to];
+  if (!sides) return { error: `A ${from} project can't become ${to}`, status: 400 };
+  if (!side || !sides.includes(side))
+    return { error: `You can't move this project from ${from} to ${to}`, status: 403 };
+  if (needsReason(from, to) && !text)
+    return { error: "Please give a reason for this change", status: 400 };
+
+  project.$locals.statusTransition = to;
+  project.status = to;
+  project.statusHistory.push(statusEntry({ from, to, actor, side, reason: text }));
+
+  return { ok: true };
+};
@@ -0,0 +1,197 @@
+import { notifyUser } from "./notify.js";
+import { transitionProject } from "./projectStatus.js";
+
+const MAX_MILESTONE_TEXT = 2000;
+
+// Milestones the client may still edit or remove
+export const EDITABLE_MILESTONE_STATUSES = ["pending", "changes-requested"];
+
+/* ---------------------------------------------------------
+   Validate milestone fields from a request body
+   partial: true → only what was sent (edits)
+   → { fields } | { error }
+----------------------------------------------------------*/
+export const readMilestone = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.title !== undefined || !partial) {
+    const title = String(body.title || "").trim();
+    if (!title) return { error: "Milestone title is required" };
+    fields.title = title;
+  }
+
+  if (body.description !== undefined) {
+    fields.description = String(body.description || "").trim();
+    if (fields.description.length > MAX_MILESTONE_TEXT)
+      return { error: `Description must be at most ${MAX_MILESTONE_TEXT} characters` };
+  }
+
+  if (body.amount !== undefined || !partial) {
+    const amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount < 0) return { error: "Invalid milestone amount" };
+    fields.amount = amount;
+  }
+
+  if (body.dueDate !== undefined) {
+    fields.dueDate = body.dueDate ? new Date(body.dueDate) : null;
+    if (fields.dueDate && Number.isNaN(fields.dueDate.getTime()))
+      return { error: "Invalid due date" };
+  }
+
+  return { fields };
+};
+
+// Counts and amounts for progress bars
+export const milestoneProgress = (project) => {
+  const milestones = project.milestones || [];
+  const approved = milestones.filter((m) => m.status === "approved");
+
+  return {
+    total: milestones.length,
+    approved: approved.length,
+    amount: milestones.reduce((sum, m) => sum + (m.amount || 0), 0),
+    approvedAmount: approved.reduce((sum, m) => sum + (m.amount || 0), 0),
+  };
+};
+
+export const allMilestonesApproved = (project) =>
+  project.milestones?.length > 0 && project.milestones.every((m) => m.status === "approved");
+
+/* ---------------------------------------------------------
+   Notify one or both participants ({ client?, developer? })
+   and push `event` with `payload` to both socket rooms.
+----------------------------------------------------------*/
+export const notifyProjectParties = async (
+  io,
+  project,
+  messages = {},
+  { event = "project:updated", payload = null } = {}
+) => {
+  for (const side of ["client", "developer"]) {
+    const userId = project[side]?._id ?? project[side];
+    if (!userId) continue;
+
+    if (messages[side]) {
+      try {
+        await notifyUser(io, { _id: userId }, {
+          message: messages[side],
+          type: "project",
+          link: `/my-projects/${project._id}`,
+        });
+      } catch (err) {
+        console.error("⚠️ Project notification failed:", err.message);
+      }
+    }
+
+    io?.to(String(userId)).emit(event, payload || { id: project._id, status: project.status });
+  }
+};
+
+/* ---------------------------------------------------------
+   Completion handshake
+----------------------------------------------------------*/
+export const pendingCompletion = (project) =>
+  project.completionRequests?.find((r) => r.status === "pending") || null;
+
+// Only once the work is accepted is the client asked for a review
+export const promptReview = async (io, project) => {
+  const clientId = project.client?._id ?? project.client;
+
+  await notifyUser(io, { _id: clientId }, {
+    message: `⭐ "${project.title}" is complete — how did it go? Leave a review for the developer`,
+    type: "review",
+    link: `/my-projects/${project._id}/review`,
+  });
+  io?.to(String(clientId)).emit("project:review-prompt", {
+    projectId: project._id,
+    developer: project.developer?._id ?? project.developer,
+  });
+};
+
+/* ---------------------------------------------------------
+   Every milestone approved → the whole project is done
+   Held while a dispute is open; re-run when it's resolved
+   or withdrawn (actor null → the system completes it)
+----------------------------------------------------------*/
+export const completeIfAllApproved = async (io, project, actor = null) => {
+  if (!allMilestonesApproved(project) || project.status === "completed") return false;
+  if (project.openDispute) return false;
+
+  const { error } = transitionProject(project, "completed", {
+    actor,
+    reason: "All milestones approved",
+  });
+  if (error) return false;
+  await project.save();
+
+  const text = `🎉 All milestones of "${project.title}" are approved — the project is complete`;
+  await notifyProjectParties(io, project, { client: text, developer: text });
+  await promptReview(io, project);
+  return true;
+};
+
+/* ---------------------------------------------------------
+   Accept the pending completion request → project completed
+   actor: the client / admin, or null when auto-accepted
+   → { ok } | { error, status }
+----------------------------------------------------------*/
+export const acceptCompletion = async (io, project, { actor = null, feedback = "" } = {}) => {
+  const request = pendingCompletion(project);
+  if (!request) return { error: "There is no pending completion request", status: 400 };
+  if (project.openDispute)
+    return { error: "Completion is on hold while a dispute is open", status: 409 };
+  if (project.milestones?.some((m) => m.status !== "approved"))
+    return { error: "Every milestone has to be approved first", status: 409 };
+
+  const { error, status } = transitionProject(project, "completed", {
+    actor,
+    reason: actor
+      ? "Completion accepted"
+      : "Completion auto-accepted — the client didn't respond in time",
+  });
+  if (error) return { error, status };
+
+  request.status = actor ? "accepted" : "auto-accepted";
+  request.feedback = String(feedback || "").trim();
+  request.respondedAt = new Date();
+  await project.save();
+
+  await notifyProjectParties(
+    io,
+    project,
+    actor
+      ? {
+          client: `✅ You accepted "${project.title}" as complete`,
+          developer: `🎉 The client accepted "${project.title}" as complete`,
+        }
+      : {
+          client: `⌛ "${project.title}" was marked complete — no response to the completion request`,
+          developer: `🎉 "${project.title}" was auto-accepted as complete`,
+        },
+    { event: "project:completion", payload: { projectId: project._id, request } }
+  );
+  await promptReview(io, project);
+
+  return { ok: true };
+};
+
+export const pendingCancellation = (project) =>
+  project.cancellationRequests?.find((r) => r.status === "pending") || null;
+
+// Open requests die with the project (cancelled or settled by an admin)
+export const closeOpenRequests = (project, note) => {
+  const now = new Date();
+
+  for (const request of project.completionRequests || []) {
+    if (request.status !== "pending") continue;
+    request.status = "rejected";
+    request.feedback = note;
+    request.respondedAt = now;
+  }
+  for (const request of project.cancellationRequests || []) {
+    if (request.status !== "pending") continue;
+    request.status = "declined";
+    request.response = note;
+    request.respondedAt = now;
+  }
+};
@@ -0,0 +1,36 @@
+// Bids that are still in the running
+export const OPEN_PROPOSAL_STATUSES = ["submitted", "shortlisted"];
+
+const MAX_COVER_LETTER = 5000;
+
+/* ---------------------------------------------------------
+   Validate proposal fields from a request body
+   partial: true → only validate what was sent (edits)
+   → { fields } | { error }
+----------------------------------------------------------*/
+export const readProposal = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.coverLetter !== undefined || !partial) {
+    const coverLetter = String(body.coverLetter || "").trim();
+    if (!coverLetter) return { error: "Cover letter is required" };
+    if (coverLetter.length > MAX_COVER_LETTER)
+      return { error: `Cover letter must be at most ${MAX_COVER_LETTER} characters` };
+    fields.coverLetter = coverLetter;
+  }
+
+  if (body.charges !== undefined || !partial) {
+    const charges = Number(body.charges);
+    if (!Number.isFinite(charges) || charges < 0) return { error: "Invalid charges" };
+    fields.charges = charges;
+  }
+
+  if (body.deliveryDays !== undefined || !partial) {
+    const deliveryDays = Number(body.deliveryDays);
+    if (!Number.isInteger(deliveryDays) || deliveryDays < 1)
+      return { error: "Estimated delivery must be a whole number of days" };
+    fields.deliveryDays = deliveryDays;
+  }
+
+  return { fields };
+};
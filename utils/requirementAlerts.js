@@ -0,0 +1,143 @@
+import User from "../models/User.js";
+import { notifyUser } from "./notify.js";
+import { visibleAccountFilter } from "./accountStatus.js";
+import {
+  REQUIREMENT_CATEGORIES,
+  EXPERIENCE_LEVELS,
+  BUDGET_TYPES,
+  parseList,
+} from "./requirements.js";
+
+/* ---------------------------------------------------------
+   REQUIREMENT ALERTS
+   New requirements go only to developers whose skills, rate
+   and saved alert criteria match — never to every socket.
+----------------------------------------------------------*/
+const ALERT_FIELDS = "name email role technologies charges requirementAlerts";
+
+const lower = (list) => (list || []).map((v) => String(v).toLowerCase());
+
+// What developers get over the socket — no client details
+export const requirementSummary = (requirement) => ({
+  _id: requirement._id,
+  title: requirement.title,
+  description: requirement.description,
+  charges: requirement.charges,
+  budget: requirement.budget,
+  technologies: requirement.technologies,
+  category: requirement.category,
+  experienceLevel: requirement.experienceLevel,
+  deadline: requirement.deadline,
+  createdAt: requirement.createdAt,
+});
+
+// Listed requirement technologies, or a mention in the title / description
+const skillsMatch = (requirement, skills) => {
+  const wanted = lower(requirement.technologies);
+  if (wanted.length) return skills.some((skill) => wanted.includes(skill));
+
+  const text = `${requirement.title} ${requirement.description}`.toLowerCase();
+  return skills.some((skill) => text.includes(skill));
+};
+
+// An empty criteria list accepts anything; an unset requirement field passes
+const allows = (list, value) => !list?.length || !value || list.includes(value);
+
+export const requirementMatchesDeveloper = (requirement, developer) => {
+  const alerts = developer.requirementAlerts || {};
+  if (alerts.enabled === false) return false;
+
+  const skills = lower(alerts.technologies?.length ? alerts.technologies : developer.technologies);
+  if (skills.length) {
+    if (!skillsMatch(requirement, skills)) return false;
+  } else if (!alerts.categories?.length) {
+    // No skills and no categories → nothing to match on
+    return false;
+  }
+
+  if (!allows(alerts.categories, requirement.category)) return false;
+  if (!allows(alerts.experienceLevels, requirement.experienceLevel)) return false;
+  if (!allows(alerts.budgetTypes, requirement.budget?.type)) return false;
+
+  const top = requirement.budget?.max ?? requirement.charges;
+  if (alerts.minBudget != null && top < alerts.minBudget) return false;
+
+  // 💰 Hourly work that pays less than the developer's own rate
+  if (requirement.budget?.type === "hourly" && developer.charges && top < developer.charges)
+    return false;
+
+  return true;
+};
+
+export const findMatchingDevelopers = async (requirement) => {
+  const developers = await User.find({
+    role: "developer",
+    _id: { $ne: requirement.client?._id ?? requirement.client },
+    "requirementAlerts.enabled": { $ne: false },
+    ...visibleAccountFilter(),
+  })
+    .select(ALERT_FIELDS)
+    .lean();
+
+  return developers.filter((developer) => requirementMatchesDeveloper(requirement, developer));
+};
+
+/* ---------------------------------------------------------
+   Push a new requirement to matching developers
+   (socket event to their room + persisted notification)
+----------------------------------------------------------*/
+export const alertMatchingDevelopers = async (io, requirement) => {
+  const developers = await findMatchingDevelopers(requirement);
+  const summary = requirementSummary(requirement);
+
+  for (const developer of developers) {
+    try {
+      await notifyUser(io, developer, {
+        message: `🆕 New requirement matching your skills: "${requirement.title}"`,
+        type: "requirement",
+        link: `/requirements/${requirement._id}`,
+      });
+    } catch (err) {
+      console.error("⚠️ Requirement alert failed:", err.message);
+    }
+    io?.to(String(developer._id)).emit("requirement:posted", summary);
+  }
+
+  return developers.length;
+};
+
+/* ---------------------------------------------------------
+   Validate alert preferences from a request body
+   → { fields } | { error }  (only the keys that were sent)
+----------------------------------------------------------*/
+const LIST_OPTIONS = {
+  categories: REQUIREMENT_CATEGORIES,
+  experienceLevels: EXPERIENCE_LEVELS,
+  budgetTypes: BUDGET_TYPES,
+};
+
+export const readAlertPreferences = (body) => {
+  const fields = {};
+
+  for (const key of ["enabled", "emailDigest"]) {
+    if (body[key] !== undefined) fields[key] = body[key] === true || body[key] === "true";
+  }
+
+  if (body.technologies !== undefined) fields.technologies = parseList(body.technologies);
+
+  for (const [key, options] of Object.entries(LIST_OPTIONS)) {
+    if (body[key] === undefined) continue;
+    const list = parseList(body[key]);
+    const invalid = list.find((value) => !options.includes(value));
+    if (invalid) return { error: `Invalid ${key} value: ${invalid}` };
+    fields[key] = list;
+  }
+
+  if (body.minBudget !== undefined) {
+    fields.minBudget = body.minBudget === null || body.minBudget === "" ? null : Number(body.minBudget);
+    if (fields.minBudget !== null && (!Number.isFinite(fields.minBudget) || fields.minBudget < 0))
+      return { error: "Invalid minBudget" };
+  }
+
+  return { fields };
+};
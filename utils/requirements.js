@@ -0,0 +1,160 @@
+/* ---------------------------------------------------------
+   REQUIREMENT FIELDS — shared by create / edit / listing
+----------------------------------------------------------*/
+export const REQUIREMENT_CATEGORIES = [
+  "web",
+  "mobile",
+  "frontend",
+  "backend",
+  "fullstack",
+  "devops",
+  "data",
+  "ai-ml",
+  "design",
+  "qa",
+  "other",
+];
+export const EXPERIENCE_LEVELS = ["entry", "intermediate", "expert"];
+export const BUDGET_TYPES = ["fixed", "hourly"];
+
+const MAX_TECHNOLOGIES = 20;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "React, node" | ["React", "node"] → ["React", "node"] (trimmed, de-duplicated)
+export const parseList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  const seen = new Set();
+
+  return list
+    .map((t) => String(t).trim())
+    .filter((t) => {
+      const key = t.toLowerCase();
+      if (!t || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Case-insensitive exact match against stored technology names
+export const technologiesMatcher = (technologies) =>
+  technologies.map((t) => new RegExp(`^${escapeRegex(t)}$`, "i"));
+
+/* ---------------------------------------------------------
+   Validate requirement fields from a request body
+   partial: true → only what was sent (edits)
+   → { fields } | { error }
+----------------------------------------------------------*/
+export const readRequirementFields = (body, { partial = false } = {}) => {
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  for (const key of ["title", "description"]) {
+    if (has(key) || !partial) {
+      const value = String(body[key] || "").trim();
+      if (!value) return { error: `${key[0].toUpperCase()}${key.slice(1)} is required` };
+      fields[key] = value;
+    }
+  }
+
+  if (has("deadline")) {
+    fields.deadline = body.deadline ? new Date(body.deadline) : null;
+    if (fields.deadline && Number.isNaN(fields.deadline.getTime()))
+      return { error: "Invalid deadline" };
+  }
+
+  if (has("technologies")) {
+    fields.technologies = parseList(body.technologies);
+    if (fields.technologies.length > MAX_TECHNOLOGIES)
+      return { error: `At most ${MAX_TECHNOLOGIES} technologies` };
+  }
+
+  // Empty value → cleared
+  if (has("category")) {
+    if (body.category && !REQUIREMENT_CATEGORIES.includes(body.category))
+      return { error: "Invalid category" };
+    fields.category = body.category || null;
+  }
+
+  if (has("experienceLevel")) {
+    if (body.experienceLevel && !EXPERIENCE_LEVELS.includes(body.experienceLevel))
+      return { error: "Invalid experience level" };
+    fields.experienceLevel = body.experienceLevel || null;
+  }
+
+  // 💰 Budget: { type, min, max, currency } — `charges` stays the headline number
+  if (has("budget") && body.budget) {
+    if (typeof body.budget !== "object") return { error: "Invalid budget" };
+
+    const { type = "fixed", min, max, currency = "USD" } = body.budget;
+    const budget = { type, currency: String(currency).trim().toUpperCase() };
+
+    if (!BUDGET_TYPES.includes(type)) return { error: "Invalid budget type" };
+    if (!/^[A-Z]{3}$/.test(budget.currency)) return { error: "Invalid currency" };
+
+    for (const [key, value] of Object.entries({ min, max })) {
+      if (value === undefined || value === null || value === "") continue;
+      budget[key] = Number(value);
+      if (!Number.isFinite(budget[key]) || budget[key] < 0) return { error: `Invalid budget ${key}` };
+    }
+
+    if (budget.min !== undefined && budget.max !== undefined && budget.min > budget.max)
+      return { error: "Budget min can't be greater than max" };
+
+    fields.budget = budget;
+  }
+
+  if (has("charges") && body.charges !== "") {
+    fields.charges = Number(body.charges);
+    if (!Number.isFinite(fields.charges) || fields.charges < 0) return { error: "Invalid charges" };
+  } else if (fields.budget && (fields.budget.max ?? fields.budget.min) !== undefined) {
+    fields.charges = fields.budget.max ?? fields.budget.min;
+  } else if (!partial) {
+    return { error: "Charges or a budget is required" };
+  }
+
+  return { fields };
+};
+
+/* ---------------------------------------------------------
+   Listing filters / sorting (GET /api/requirements)
+   ?technologies=react,node&category=web&experienceLevel=expert
+   &budgetType=hourly&currency=USD&minBudget=100&maxBudget=500
+   &search=landing&sort=newest|oldest|budget|-budget|deadline
+----------------------------------------------------------*/
+export const REQUIREMENT_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  budget: { charges: 1 },
+  "-budget": { charges: -1 },
+  deadline: { deadline: 1 },
+};
+
+export const buildRequirementFilters = (query, { technologies = null } = {}) => {
+  const filters = [];
+
+  const techs = technologies || parseList(query.technologies);
+  if (techs.length) filters.push({ technologies: { $in: technologiesMatcher(techs) } });
+
+  if (REQUIREMENT_CATEGORIES.includes(query.category)) filters.push({ category: query.category });
+  if (EXPERIENCE_LEVELS.includes(query.experienceLevel))
+    filters.push({ experienceLevel: query.experienceLevel });
+  if (BUDGET_TYPES.includes(query.budgetType)) filters.push({ "budget.type": query.budgetType });
+  if (/^[A-Za-z]{3}$/.test(query.currency || ""))
+    filters.push({ "budget.currency": query.currency.toUpperCase() });
+
+  // Overlap between the requested range and the requirement's budget
+  const minBudget = Number(query.minBudget);
+  const maxBudget = Number(query.maxBudget);
+  if (query.minBudget && Number.isFinite(minBudget))
+    filters.push({ $or: [{ "budget.max": { $gte: minBudget } }, { charges: { $gte: minBudget } }] });
+  if (query.maxBudget && Number.isFinite(maxBudget))
+    filters.push({ $or: [{ "budget.min": { $lte: maxBudget } }, { charges: { $lte: maxBudget } }] });
+
+  if (query.search) {
+    const regex = new RegExp(escapeRegex(String(query.search).trim()), "i");
+    filters.push({ $or: [{ title: regex }, { description: regex }] });
+  }
+
+  return filters;
+};
@@ -0,0 +1,301 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const SOCKET_SECRET = process.env.SOCKET_SECRET || JWT_SECRET;
+
+// Short-lived access token, long-lived (rotating) refresh token
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+export const ACCESS_TOKEN_MAX_AGE = ACCESS_TOKEN_MINUTES * 60 * 1000;
+export const REFRESH_TOKEN_MAX_AGE =
+  (Number(process.env.REFRESH_TOKEN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Impersonation sessions are short and never refreshed
+const IMPERSONATION_MINUTES = Number(process.env.IMPERSONATION_MINUTES) || 30;
+export const IMPERSONATION_MAX_AGE = IMPERSONATION_MINUTES * 60 * 1000;
+
+// Only write lastSeenAt once a minute to avoid a DB write on every request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+// How long the token a refresh just replaced is still treated as a lost race
+const ROTATION_GRACE_MS = 30 * 1000;
+
+/* ---------------------------------------------------------
+   HELPERS
+----------------------------------------------------------*/
+export const hashToken = (value) =>
+  crypto.createHash("sha256").update(String(value)).digest("hex");
+
+export const getClientIp = (req) =>
+  req.ip || req.headers?.["x-forwarded-for"]?.split(",")[0]?.trim() || "";
+
+// Very small user-agent parser — good enough for "Chrome on Windows"
+export const describeDevice = (userAgent = "") => {
+  if (!userAgent) return "Unknown device";
+
+  const browser =
+    (/Edg\//.test(userAgent) && "Edge") ||
+    (/OPR\//.test(userAgent) && "Opera") ||
+    (/Chrome\//.test(userAgent) && "Chrome") ||
+    (/Firefox\//.test(userAgent) && "Firefox") ||
+    (/Safari\//.test(userAgent) && "Safari") ||
+    (/PostmanRuntime/.test(userAgent) && "Postman") ||
+    (/curl\//.test(userAgent) && "curl") ||
+    "Unknown browser";
+
+  const os =
+    (/Windows/.test(userAgent) && "Windows") ||
+    (/Android/.test(userAgent) && "Android") ||
+    (/iPhone|iPad|iOS/.test(userAgent) && "iOS") ||
+    (/Mac OS X|Macintosh/.test(userAgent) && "macOS") ||
+    (/Linux/.test(userAgent) && "Linux") ||
+    null;
+
+  return os ? `${browser} on ${os}` : browser;
+};
+
+const newRefreshSecret = () => crypto.randomBytes(48).toString("hex");
+
+// Refresh token format: "<sessionId>.<secret>"
+const splitRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+};
+
+const signTokens = (userId, sessionId, { extra = {}, minutes = ACCESS_TOKEN_MINUTES } = {}) => {
+  const payload = { id: userId, sid: sessionId, ...extra };
+  return {
+    token: jwt.sign(payload, JWT_SECRET, { expiresIn: `${minutes}m` }),
+    socketToken: jwt.sign(payload, SOCKET_SECRET, { expiresIn: `${minutes}m` }),
+  };
+};
+
+/* ---------------------------------------------------------
+   CREATE SESSION (login)
+----------------------------------------------------------*/
+export const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const userAgent = req.headers?.["user-agent"] || "";
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: getClientIp(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE),
+  });
+
+  const sessionId = session._id.toString();
+
+  return {
+    session,
+    refreshToken: `${sessionId}.${secret}`,
+    ...signTokens(user._id, sessionId),
+  };
+};
+
+/* ---------------------------------------------------------
+   CREATE IMPERSONATION SESSION (superadmin "log in as")
+   → access tokens only, marked with `imp`; the refresh secret
+     is never handed out so the session dies after IMPERSONATION_MINUTES
+----------------------------------------------------------*/
+export const createImpersonationSession = async (target, impersonator, req) => {
+  const userAgent = req.headers?.["user-agent"] || "";
+
+  const session = await Session.create({
+    user: target._id,
+    refreshTokenHash: hashToken(newRefreshSecret()),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: getClientIp(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + IMPERSONATION_MAX_AGE),
+    impersonatedBy: impersonator._id,
+  });
+
+  const sessionId = session._id.toString();
+
+  return {
+    session,
+    ...signTokens(target._id, sessionId, {
+      extra: { imp: String(impersonator._id) },
+      minutes: IMPERSONATION_MINUTES,
+    }),
+  };
+};
+
+/* ---------------------------------------------------------
+   ROTATE SESSION (refresh) — atomic, so only one of several
+   parallel refreshes with the same token wins
+   → returns null when the refresh token is invalid
+   → { superseded: true } when a parallel refresh just rotated it
+   → a reused (already rotated) token revokes the session
+----------------------------------------------------------*/
+export const rotateSession = async (refreshToken, req) => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(parts.sessionId)) return null;
+
+  const now = new Date();
+  const presentedHash = hashToken(parts.secret);
+  const secret = newRefreshSecret();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parts.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      impersonatedBy: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      refreshTokenHash: hashToken(secret),
+      previousRefreshTokenHash: presentedHash,
+      rotatedAt: now,
+      lastSeenAt: now,
+      ...(getClientIp(req) && { ip: getClientIp(req) }),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_MAX_AGE),
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const current = await Session.findById(parts.sessionId);
+    if (!current || current.revokedAt || current.expiresAt <= now) return null;
+    if (current.impersonatedBy) return null;
+
+    if (
+      current.previousRefreshTokenHash === presentedHash &&
+      now - current.rotatedAt < ROTATION_GRACE_MS
+    ) {
+      return { superseded: true };
+    }
+
+    // Token reuse → most likely stolen; kill the whole session
+    await Session.updateOne({ _id: current._id, revokedAt: null }, { revokedAt: now });
+    console.warn("⚠️ Refresh token reuse detected, session revoked:", parts.sessionId);
+    return null;
+  }
+
+  const sessionId = session._id.toString();
+
+  return {
+    session,
+    refreshToken: `${sessionId}.${secret}`,
+    ...signTokens(session.user, sessionId),
+  };
+};
+
+/* ---------------------------------------------------------
+   FIND ACTIVE SESSION (used by every auth check)
+----------------------------------------------------------*/
+export const findActiveSession = async (sessionId, userId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+  if (userId && String(session.user) !== String(userId)) return null;
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_THROTTLE_MS) {
+    Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() }).catch((err) =>
+      console.warn("⚠️ Session touch failed:", err.message)
+    );
+  }
+
+  return session;
+};
+
+/* ---------------------------------------------------------
+   VERIFY ACCESS TOKEN
+   → decoded payload when the JWT is valid AND its session is active
+----------------------------------------------------------*/
+export const verifySessionToken = async (token, secrets = [JWT_SECRET]) => {
+  let decoded = null;
+
+  for (const secret of secrets.filter(Boolean)) {
+    try {
+      decoded = jwt.verify(token, secret);
+      break;
+    } catch {
+      decoded = null;
+    }
+  }
+
+  if (!decoded) return null;
+
+  const userId = decoded.id || decoded._id;
+  const session = await findActiveSession(decoded.sid, userId);
+  if (!session) return null;
+
+  // The session record, not the token claim, decides whether this is impersonation
+  const impersonatedBy = session.impersonatedBy ? String(session.impersonatedBy) : null;
+
+  return { ...decoded, id: userId, session, impersonatedBy };
+};
+
+/* ---------------------------------------------------------
+   REVOKE
+----------------------------------------------------------*/
+export const revokeSession = async (sessionId, userId) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+
+  const result = await Session.updateOne(filter, { revokedAt: new Date() });
+  return result.modifiedCount > 0;
+};
+
+export const revokeRefreshToken = async (refreshToken) => {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts || !mongoose.Types.ObjectId.isValid(parts.sessionId)) return false;
+
+  const result = await Session.updateOne(
+    { _id: parts.sessionId, refreshTokenHash: hashToken(parts.secret), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+export const revokeAllSessions = async (userId, { except = null } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+export const listActiveSessions = (userId) =>
+  Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+/* ---------------------------------------------------------
+   Drop live sockets that were opened with a now-revoked session
+   (the handshake stores the session id in socket.data)
+----------------------------------------------------------*/
+export const disconnectSessionSockets = async (io, userId, { only = null, except = null } = {}) => {
+  if (!io) return;
+  try {
+    const sockets = await io.in(String(userId)).fetchSockets();
+    sockets
+      .filter((s) => !only || String(s.data?.sessionId) === String(only))
+      .filter((s) => !except || String(s.data?.sessionId) !== String(except))
+      .forEach((s) => s.disconnect(true));
+  } catch (err) {
+    console.warn("⚠️ Socket disconnect failed:", err.message);
+  }
+};
@@ -0,0 +1,35 @@
+import Setting from "../models/Setting.js";
+
+/* ---------------------------------------------------------
+   KNOWN SETTINGS (+ defaults when nothing is stored yet)
+----------------------------------------------------------*/
+export const SETTINGS = {
+  REQUIRE_ADMIN_2FA: "security.requireAdmin2fa",
+  COMPLETION_REVIEW_DAYS: "projects.completionReviewDays",
+};
+
+const DEFAULTS = {
+  [SETTINGS.REQUIRE_ADMIN_2FA]: false,
+  // days a client has to answer a completion request before it auto-accepts
+  [SETTINGS.COMPLETION_REVIEW_DAYS]: Number(process.env.COMPLETION_REVIEW_DAYS) || 7,
+};
+
+export const getSetting = async (key) => {
+  const doc = await Setting.findOne({ key }).lean();
+  return doc ? doc.value : DEFAULTS[key] ?? null;
+};
+
+export const setSetting = async (key, value, updatedBy = null) => {
+  const doc = await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true }
+  ).lean();
+  return doc.value;
+};
+
+export const getAllSettings = async () => {
+  const docs = await Setting.find({ key: { $in: Object.values(SETTINGS) } }).lean();
+  const stored = Object.fromEntries(docs.map((d) => [d.key, d.value]));
+  return { ...DEFAULTS, ...stored };
+};
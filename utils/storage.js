@@ -0,0 +1,48 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/* ---------------------------------------------------------
+   FILE STORAGE
+   Attachments are addressed by an opaque key; only this module
+   knows where the bytes live. Local disk under uploads/attachments
+   (never served statically — downloads go through the API).
+   Another backend (S3, GCS…) only needs put / stream / remove.
+----------------------------------------------------------*/
+export const ATTACHMENTS_DIR = path.resolve("uploads", "attachments");
+
+// Keys are generated here, never taken from the client
+export const createStorageKey = (originalName = "") => {
+  const ext = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, "");
+  const month = new Date().toISOString().slice(0, 7); // 2024-05
+  return `${month}/${crypto.randomUUID()}${ext}`;
+};
+
+const resolveKey = (key) => {
+  const file = path.resolve(ATTACHMENTS_DIR, key);
+  if (!file.startsWith(ATTACHMENTS_DIR + path.sep)) throw new Error("Invalid storage key");
+  return file;
+};
+
+export const localStorage = {
+  async put(key, buffer) {
+    const file = resolveKey(key);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(file, buffer, { flag: "wx" });
+  },
+
+  async stream(key) {
+    const file = resolveKey(key);
+    await fsp.access(file);
+    return fs.createReadStream(file);
+  },
+
+  async remove(key) {
+    await fsp.unlink(resolveKey(key)).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  },
+};
+
+export default localStorage;
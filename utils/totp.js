@@ -0,0 +1,108 @@
+import crypto from "crypto";
+
+/* ---------------------------------------------------------
+   TOTP (RFC 6238) — SHA-1, 6 digits, 30s step
+   Compatible with Google Authenticator / Authy / 1Password
+----------------------------------------------------------*/
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (secret, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, "0");
+};
+
+export const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+export const generateCode = (secret, time = Date.now()) => hotp(secret, currentStep(time));
+
+/**
+ * Verify a 6-digit code, allowing ±window steps of clock drift.
+ * Returns the matched time step (so callers can block replays) or null.
+ */
+export const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const token = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const step = currentStep(time);
+  for (let i = -window; i <= window; i++) {
+    const candidate = hotp(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(token))) return step + i;
+  }
+
+  return null;
+};
+
+export const buildOtpauthUri = (secret, accountName, issuer = "CodeCommunity") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/* ---------------------------------------------------------
+   RECOVERY CODES — shown once, stored hashed
+----------------------------------------------------------*/
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toUpperCase())
+    .digest("hex");
+
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });